@@ -4,7 +4,30 @@
 
 import { Server } from "@modelcontextprotocol/sdk/server/index.js";
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
-import { ListToolsRequestSchema, CallToolRequestSchema, McpError, ErrorCode } from "@modelcontextprotocol/sdk/types.js";
+import { StreamableHTTPServerTransport } from "@modelcontextprotocol/sdk/server/streamableHttp.js";
+import { SSEServerTransport } from "@modelcontextprotocol/sdk/server/sse.js";
+import http from "node:http";
+import { createHmac, randomUUID, timingSafeEqual } from "node:crypto";
+import { createWriteStream, readFileSync } from "node:fs";
+import { appendFile, mkdir, readFile, realpath } from "node:fs/promises";
+import { homedir } from "node:os";
+import nodePath from "node:path";
+import { once } from "node:events";
+import { parseArgs } from "node:util";
+import {
+  ListToolsRequestSchema,
+  CallToolRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ReadResourceRequestSchema,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema,
+  ListPromptsRequestSchema,
+  GetPromptRequestSchema,
+  McpError,
+  ErrorCode,
+  isInitializeRequest
+} from "@modelcontextprotocol/sdk/types.js";
 
 
 // ----------------------------
@@ -14,36 +37,581 @@ import { ListToolsRequestSchema, CallToolRequestSchema, McpError, ErrorCode } fr
 const tools = [];
 const toolMap = {};
 
+// Tools are grouped into toolsets that operators switch on and off (see the Toolsets
+// section). Each registration joins the toolset named by the last useToolset call.
+const toolsets = {};
+let currentToolset = null;
+const useToolset = (name) => {
+  currentToolset = name;
+};
+
+// Shared paging arguments merged into the input schema of every list_* tool.
+const paginationProperties = {
+  limit: { type: "integer", minimum: 1, maximum: 100, description: "Maximum number of records per page (1-100, default 10)" },
+  offset: { type: "integer", minimum: 0, description: "Number of records to skip before the first returned record" },
+  sort: { type: "string", description: "Field to sort by; prefix with '-' for descending order (e.g., '-created')" },
+  next: { type: "string", description: "Cursor from a previous response's _metadata.next, used to fetch the following page" },
+  fetchAll: { type: "boolean", description: "Follow _metadata.next links and merge every page into one result (capped by maxRecords)" },
+  maxRecords: { type: "integer", minimum: 1, description: "Upper bound on records collected when fetchAll is true (defaults to FUB_FETCH_ALL_MAX or 1000)" }
+};
+
+// Every tool accepts the name of the Follow Up Boss account to run against.
+// The enum is filled in once the configured accounts are loaded.
+const accountProperty = {
+  type: "string",
+  description: "Name of the Follow Up Boss account to use (defaults to the server's default account)"
+};
+
+// Response shaping arguments shared by every tool (see the Response Shaping section).
+// `format` is only offered on list tools.
+const outputProperties = {
+  fields: {
+    type: "string",
+    description: "Comma-separated fields to keep in the response, e.g. 'id,firstName,emails.value' (dot paths reach into nested objects)"
+  },
+  maxChars: {
+    type: "integer",
+    minimum: 500,
+    description: "Maximum size of the response text; longer responses are truncated with a note on how to page for more"
+  }
+};
+
+const formatProperty = {
+  type: "string",
+  enum: ["json", "markdown", "csv"],
+  description: "Output format for the records: json (default), a markdown table, or csv"
+};
+
+const confirmationTokenProperty = {
+  type: "string",
+  description: "Token returned by the first call to this tool; pass it back to confirm and carry out the delete"
+};
+
+const withPagination = (inputSchema) => ({
+  ...inputSchema,
+  properties: { ...paginationProperties, ...(inputSchema.properties || {}) }
+});
+
+// Arguments holding contact or user IDs also accept arguments that name the records by
+// email, phone, or name; dispatchTool resolves them to the IDs. `person` / `user` stand in
+// for a single ID (personId, assignedUserId, or the `id` of a contact or user endpoint),
+// `people` / `users` for an array of IDs (a deal's peopleIds and userIds), and each
+// appointment invitee may give `person` / `user` instead of its personId / userId.
+const referenceDescriptions = {
+  person: "contact, given by email address, phone number, or full name",
+  user: "user, given by email address, phone number, or name"
+};
+
+// The reference arguments and the ID fields they may stand in for, most specific first.
+const referenceArguments = {
+  person: { kind: "person", fields: [["personId"], ["data", "personId"]] },
+  user: { kind: "user", fields: [["assignedUserId"], ["userId"], ["data", "assignedUserId"], ["data", "userId"]] },
+  people: { kind: "person", many: true, fields: [["data", "peopleIds"]] },
+  users: { kind: "user", many: true, fields: [["data", "userIds"]] }
+};
+
+// Endpoints whose `id` argument is a contact or a user.
+const referenceIdPaths = {
+  person: /^\/people\/(:id(\/|$)|claim$|ignoreUnclaimed$)/,
+  user: /^\/users\/:id(\/|$)/
+};
+
+// Reference arguments on each item of an `invitees` array, and the fields they replace.
+const inviteeReferences = { person: "personId", user: "userId" };
+
+const isIdField = (field, many) =>
+  Boolean(field) && (many ? field.type === "array" && Boolean(field.items) && field.items.type === "integer" : field.type === "integer");
+
+// Where the references of a tool live in its arguments.
+const findReferenceFields = (path, inputSchema) => {
+  const references = [];
+  for (const [argument, { kind, many = false, fields }] of Object.entries(referenceArguments)) {
+    if (inputSchema.properties[argument]) continue;
+    const candidates = !many && referenceIdPaths[kind].test(path || "") ? [["id"], ...fields] : fields;
+    for (const fieldPath of candidates) {
+      const parent = fieldPath.length > 1 ? inputSchema.properties[fieldPath[0]] : inputSchema;
+      const field = parent && parent.properties && parent.properties[fieldPath[fieldPath.length - 1]];
+      if (isIdField(field, many)) {
+        references.push({ kind, argument, many, path: fieldPath, required: (parent.required || []).includes(fieldPath[fieldPath.length - 1]) });
+        break;
+      }
+    }
+  }
+  const data = inputSchema.properties.data;
+  const invitees = data && data.properties && data.properties.invitees;
+  if (invitees && invitees.items && invitees.items.properties) {
+    references.push({ items: true, path: ["data", "invitees"] });
+  }
+  return references;
+};
+
+// Add the reference arguments; the ID fields they stand in for are no longer required by
+// the schema, dispatchTool checks that one of the two was given.
+const withReferenceArguments = (inputSchema, references) => {
+  const properties = { ...inputSchema.properties };
+  let required = inputSchema.required || [];
+  for (const { kind, argument, many, items, path: [first, nested] } of references) {
+    if (items) {
+      const list = properties[first].properties[nested];
+      const itemProperties = { ...list.items.properties };
+      for (const [itemKind, field] of Object.entries(inviteeReferences)) {
+        itemProperties[itemKind] = { type: "string", description: `The ${referenceDescriptions[itemKind]}, instead of ${field}` };
+      }
+      properties[first] = {
+        ...properties[first],
+        properties: { ...properties[first].properties, [nested]: { ...list, items: { ...list.items, properties: itemProperties } } }
+      };
+      continue;
+    }
+    if (nested) {
+      properties[first] = { ...properties[first], required: (properties[first].required || []).filter((key) => key !== nested) };
+    } else {
+      required = required.filter((key) => key !== first);
+    }
+    const description = `${many ? "Each" : "The"} ${referenceDescriptions[kind]}, instead of ${[first, nested].filter(Boolean).join(".")}. Fails with the list of candidates when several match`;
+    properties[argument] = many ? { type: "array", items: { type: "string" }, description } : { type: "string", description };
+  }
+  return { ...inputSchema, properties, required };
+};
+
 // Helper function to add a tool definition
-const addTool = (name, method, path, description, inputSchema) => {
+// Options:
+//   requiresSystem - the endpoint only accepts calls from a registered system (X-System / X-System-Key headers)
+//   retrySafe      - a POST endpoint without side effects that may be retried after 429/5xx responses
+//   mapArgs        - function that rewrites validated arguments into the API's parameters before dispatch
+//   mapResult      - function (result, { account }) that post-processes the API response
+//   customFields   - "person" or "deal": the `data` payload carries that kind of custom field,
+//                    and custom field labels used as keys are translated to their API names
+//   outputSchema   - JSON schema of the result (defaults to the record or list schema of the path's collection)
+//   handler        - async function (args, { account, dryRun, confirmed, reportProgress, server }) that runs the tool
+//                    locally instead of calling `path`; `method` still says whether the tool reads (GET) or
+//                    changes data, and mutating handlers must only describe their changes when dryRun is set.
+//                    Local tools that change no CRM data (flush_cache) are GET, so they stay in read-only mode.
+//                    A confirmed DELETE handler gets its dry-run preview as `confirmed`; `server` is the
+//                    Server instance of the calling client
+const addTool = (name, method, path, description, inputSchema, options = {}) => {
   // Each tool definition includes a name, a clear description, and a JSON schema for inputs.
-  tools.push({ name, description, inputSchema });
-  toolMap[name] = { method, path, description, inputSchema };
+  // List endpoints all share the same paging arguments.
+  const paginated = method === "GET" && name.startsWith("list_") && !options.handler;
+  if (paginated) {
+    inputSchema = withPagination(inputSchema);
+  }
+  // Deletes are irreversible, so they accept the token handed out by the confirmation step.
+  if (method === "DELETE") {
+    inputSchema = {
+      ...inputSchema,
+      properties: { ...inputSchema.properties, confirmationToken: confirmationTokenProperty }
+    };
+  }
+  const references = findReferenceFields(path, inputSchema);
+  if (references.length) {
+    inputSchema = withReferenceArguments(inputSchema, references);
+  }
+  // Tools that declare their own `fields` argument (list_people) also forward it to the API.
+  const ownFields = Boolean(inputSchema.properties && inputSchema.properties.fields);
+  inputSchema = {
+    ...inputSchema,
+    properties: {
+      ...outputProperties,
+      ...(name.startsWith("list_") ? { format: formatProperty } : {}),
+      ...inputSchema.properties,
+      account: accountProperty
+    }
+  };
+  const outputSchema = options.outputSchema || defaultOutputSchema(name, path);
+  tools.push({ name, description, inputSchema, outputSchema });
+  (toolsets[currentToolset] ||= []).push(name);
+  toolMap[name] = {
+    method,
+    path,
+    description,
+    inputSchema,
+    paginated,
+    ownFields,
+    requiresSystem: Boolean(options.requiresSystem),
+    retrySafe: Boolean(options.retrySafe),
+    mapArgs: options.mapArgs,
+    mapResult: options.mapResult,
+    customFields: options.customFields,
+    references,
+    toolset: currentToolset,
+    handler: options.handler
+  };
+};
+
+// ----------------------------
+// Payload Schemas for create/update tools
+// ----------------------------
+
+// Custom fields are sent as top-level keys named custom<Label> (e.g. customPreApprovalAmount).
+const customFieldPattern = { "^custom[A-Za-z0-9_]+$": { description: "Account-specific custom field value" } };
+
+// Same payload with no required fields, for PUT (partial update) tools.
+const asPartial = (schema) => {
+  const { required, ...rest } = schema;
+  return rest;
+};
+
+const emailSchema = {
+  type: "object",
+  properties: {
+    value: { type: "string", format: "email", description: "Email address" },
+    type: { type: "string", enum: ["home", "work", "other"], description: "Kind of email address" },
+    isPrimary: { type: "boolean", description: "Whether this is the contact's primary email" }
+  },
+  required: ["value"],
+  additionalProperties: false
+};
+
+const phoneSchema = {
+  type: "object",
+  properties: {
+    value: { type: "string", description: "Phone number, e.g. +15555551234" },
+    type: { type: "string", enum: ["mobile", "home", "work", "fax", "other"], description: "Kind of phone number" },
+    isPrimary: { type: "boolean", description: "Whether this is the contact's primary phone" }
+  },
+  required: ["value"],
+  additionalProperties: false
+};
+
+const addressSchema = {
+  type: "object",
+  properties: {
+    type: { type: "string", enum: ["home", "mailing", "work", "investment", "other"], description: "Kind of address" },
+    street: { type: "string" },
+    city: { type: "string" },
+    state: { type: "string" },
+    code: { type: "string", description: "ZIP or postal code" },
+    country: { type: "string" }
+  },
+  additionalProperties: false
+};
+
+const personDataSchema = {
+  type: "object",
+  properties: {
+    firstName: { type: "string", description: "First name" },
+    lastName: { type: "string", description: "Last name" },
+    stage: { type: "string", description: "Stage name as listed by list_stages (e.g., Lead, Hot Prospect, Active Client)" },
+    source: { type: "string", description: "Lead source (e.g., Zillow, Open House, Referral)" },
+    sourceUrl: { type: "string", description: "URL of the page where the lead originated" },
+    contacted: { type: "boolean", description: "Whether the contact has been reached" },
+    price: { type: "number", description: "Expected purchase or sale price" },
+    assignedUserId: { type: "integer", description: "ID of the agent the contact is assigned to" },
+    assignedLenderId: { type: "integer", description: "ID of the lender the contact is assigned to" },
+    assignedPondId: { type: "integer", description: "ID of the pond the contact belongs to" },
+    emails: { type: "array", items: emailSchema, description: "Email addresses, e.g. [{ value: 'jane@example.com', type: 'home' }]" },
+    phones: { type: "array", items: phoneSchema, description: "Phone numbers, e.g. [{ value: '+15555551234', type: 'mobile' }]" },
+    addresses: { type: "array", items: addressSchema, description: "Postal addresses" },
+    tags: { type: "array", items: { type: "string" }, description: "Tags applied to the contact" },
+    background: { type: "string", description: "Free-form background information" },
+    timeframeId: { type: "integer", description: "Timeframe ID as listed by list_timeframes" }
+  },
+  patternProperties: customFieldPattern,
+  additionalProperties: false
+};
+
+const noteDataSchema = {
+  type: "object",
+  properties: {
+    personId: { type: "integer", description: "ID of the contact the note belongs to" },
+    subject: { type: "string", description: "Note subject line" },
+    body: { type: "string", description: "Note text" },
+    isHtml: { type: "boolean", description: "Whether body contains HTML" }
+  },
+  required: ["personId", "body"],
+  additionalProperties: false
+};
+
+const taskDataSchema = {
+  type: "object",
+  properties: {
+    personId: { type: "integer", description: "ID of the contact the task relates to" },
+    assignedUserId: { type: "integer", description: "ID of the user responsible for the task" },
+    name: { type: "string", description: "Short description of the task" },
+    type: {
+      type: "string",
+      enum: ["Follow Up", "Call", "Email", "Text", "Appointment", "Showing", "Closing", "Open House", "Thank You"],
+      description: "Task type"
+    },
+    dueDate: { type: "string", format: "date", description: "Due date (YYYY-MM-DD)" },
+    dueDateTime: { type: "string", format: "date-time", description: "Due date and time (ISO 8601); overrides dueDate" },
+    remindSecondsBefore: { type: "integer", minimum: 0, description: "Send a reminder this many seconds before the due time" },
+    isCompleted: { type: "boolean", description: "Whether the task is completed" }
+  },
+  required: ["personId", "name"],
+  additionalProperties: false
+};
+
+const appointmentDataSchema = {
+  type: "object",
+  properties: {
+    title: { type: "string", description: "Appointment title" },
+    description: { type: "string", description: "Appointment details" },
+    location: { type: "string", description: "Where the appointment takes place" },
+    start: { type: "string", format: "date-time", description: "Start time (ISO 8601)" },
+    end: { type: "string", format: "date-time", description: "End time (ISO 8601)" },
+    allDay: { type: "boolean", description: "Whether the appointment lasts all day" },
+    typeId: { type: "integer", description: "Appointment type ID as listed by list_appointment_types" },
+    outcomeId: { type: "integer", description: "Appointment outcome ID as listed by list_appointment_outcomes" },
+    invitees: {
+      type: "array",
+      description: "People and users attending; give a personId or userId (or a person or user reference) for each",
+      items: {
+        type: "object",
+        properties: {
+          personId: { type: "integer" },
+          userId: { type: "integer" },
+          name: { type: "string" },
+          email: { type: "string", format: "email" }
+        },
+        additionalProperties: false
+      }
+    }
+  },
+  required: ["title", "start", "end"],
+  additionalProperties: false
+};
+
+const dealDataSchema = {
+  type: "object",
+  properties: {
+    name: { type: "string", description: "Deal name, usually the property address" },
+    pipelineId: { type: "integer", description: "Pipeline ID as listed by list_pipelines" },
+    stageId: { type: "integer", description: "Pipeline stage ID (see the stages of get_pipeline)" },
+    price: { type: "number", description: "Deal value" },
+    description: { type: "string", description: "Deal notes" },
+    projectedCloseDate: { type: "string", format: "date", description: "Expected closing date (YYYY-MM-DD)" },
+    peopleIds: { type: "array", items: { type: "integer" }, description: "IDs of the contacts on the deal" },
+    userIds: { type: "array", items: { type: "integer" }, description: "IDs of the agents on the deal" },
+    commissionValue: { type: "number", description: "Total commission amount" },
+    agentCommission: { type: "number", description: "Agent's share of the commission" },
+    teamCommission: { type: "number", description: "Team's share of the commission" },
+    orderWeight: { type: "integer", description: "Sort position within the stage" }
+  },
+  patternProperties: customFieldPattern,
+  required: ["name", "stageId"],
+  additionalProperties: false
+};
+
+const eventPropertySchema = {
+  type: "object",
+  description: "The property the lead is asking about",
+  properties: {
+    street: { type: "string" },
+    city: { type: "string" },
+    state: { type: "string" },
+    code: { type: "string", description: "ZIP or postal code" },
+    mlsNumber: { type: "string", description: "MLS listing number" },
+    price: { type: "number", description: "List price" },
+    forRent: { type: "boolean", description: "Whether the listing is a rental" },
+    url: { type: "string", description: "Link to the listing" },
+    type: { type: "string", description: "Property type (e.g., Single-Family Home, Condo)" },
+    bedrooms: { type: "number" },
+    bathrooms: { type: "number" },
+    area: { type: "number", description: "Living area in square feet" },
+    lot: { type: "number", description: "Lot size in acres" }
+  },
+  additionalProperties: false
+};
+
+const eventDataSchema = {
+  type: "object",
+  properties: {
+    source: { type: "string", description: "Lead source to attribute the person to (e.g., MyWebsite.com, Zillow)" },
+    system: { type: "string", description: "Name of the system sending the event" },
+    type: {
+      type: "string",
+      enum: [
+        "Registration",
+        "Inquiry",
+        "Seller Inquiry",
+        "Property Inquiry",
+        "General Inquiry",
+        "Viewed Property",
+        "Saved Property",
+        "Visited Website",
+        "Incoming Call",
+        "Unsubscribed",
+        "Property Search",
+        "Saved Property Search",
+        "Visited Open House",
+        "Viewed Page"
+      ],
+      description: "Kind of event; inquiries and registrations trigger lead flow and action plans"
+    },
+    message: { type: "string", description: "Message the lead wrote, if any" },
+    description: { type: "string", description: "Additional context shown on the person's timeline" },
+    person: { ...asPartial(personDataSchema), description: "The lead; matched to an existing person by email or phone, otherwise created" },
+    property: eventPropertySchema,
+    pageTitle: { type: "string", description: "Title of the page where the event happened" },
+    pageUrl: { type: "string", description: "URL of the page where the event happened" },
+    occurredAt: { type: "string", format: "date-time", description: "When the event happened (defaults to now)" }
+  },
+  required: ["source", "type", "person"],
+  additionalProperties: false
+};
+
+// ----------------------------
+// Output Schemas
+// ----------------------------
+
+// Every tool declares an outputSchema and returns its result as structuredContent too.
+// Record schemas only type the record ID. The other fields are listed for documentation
+// and left untyped: the API returns null for many of them, and `fields` projections, dry
+// runs and delete confirmations return other shapes, all of which must still validate.
+const nullable = (type) => ({ type: [type, "null"] });
+
+const recordSchema = {
+  type: "object",
+  properties: { id: { type: ["integer", "string"], description: "Record ID" } }
+};
+
+const personRecordSchema = {
+  type: "object",
+  description: "A contact",
+  properties: {
+    id: { type: "integer", description: "Contact ID" },
+    name: { description: "Full name" },
+    firstName: { description: "First name" },
+    lastName: { description: "Last name" },
+    stage: { description: "Stage name, e.g. Lead" },
+    source: { description: "Lead source" },
+    assignedUserId: { description: "ID of the assigned agent" },
+    assignedTo: { description: "Name of the assigned agent" },
+    tags: { description: "Tag names" },
+    emails: { description: "Email addresses as { value, type, isPrimary } objects" },
+    phones: { description: "Phone numbers as { value, type, isPrimary } objects" },
+    addresses: { description: "Postal addresses" },
+    created: { description: "Creation time (ISO 8601)" },
+    updated: { description: "Last update time (ISO 8601)" }
+  }
+};
+
+const dealRecordSchema = {
+  type: "object",
+  description: "A deal",
+  properties: {
+    id: { type: "integer", description: "Deal ID" },
+    name: { description: "Deal name" },
+    stageId: { description: "ID of the deal stage" },
+    stageName: { description: "Name of the deal stage" },
+    pipelineId: { description: "ID of the pipeline" },
+    pipelineName: { description: "Name of the pipeline" },
+    price: { description: "Deal value" },
+    people: { description: "Contacts on the deal" },
+    users: { description: "Agents on the deal" },
+    created: { description: "Creation time (ISO 8601)" },
+    updated: { description: "Last update time (ISO 8601)" }
+  }
+};
+
+// Paging details of a list response (see listCollection and fetchAllPages).
+const metadataSchema = {
+  type: "object",
+  properties: {
+    collection: { type: "string", description: "Name of the property holding the records" },
+    offset: { description: "Offset of the first record" },
+    limit: { description: "Page size" },
+    total: { description: "Total number of matching records" },
+    next: { description: "Cursor for the following page" },
+    nextLink: { description: "URL of the following page" },
+    pages: { description: "Pages merged by fetchAll" },
+    fetched: { description: "Records merged by fetchAll" },
+    truncated: { description: "Whether fetchAll stopped at maxRecords" }
+  }
+};
+
+// List envelope: _metadata plus the records, under the name given in _metadata.collection.
+// The record schema is only described, since the collection name is not known up front.
+const listOutputSchema = (itemSchema) => ({
+  type: "object",
+  description: `List envelope; the records (${itemSchema.description || "objects"}) are in the array named by _metadata.collection`,
+  properties: { _metadata: metadataSchema }
+});
+
+// Record schemas by API collection; other collections use the generic record schema.
+const recordSchemas = { people: personRecordSchema, deals: dealRecordSchema };
+
+// Output schema for tools that do not declare their own: list tools return the list
+// envelope, the others a single record of their collection.
+const defaultOutputSchema = (name, path) => {
+  const collection = path ? path.split("/").filter(Boolean)[0] : null;
+  const itemSchema = recordSchemas[collection] || recordSchema;
+  return name.startsWith("list_") ? listOutputSchema(itemSchema) : itemSchema;
+};
+
+// Per-item outcome list returned by the bulk and import tools.
+const bulkOutputSchema = {
+  type: "object",
+  properties: {
+    _metadata: metadataSchema,
+    dryRun: { type: "boolean" },
+    summary: {
+      type: "object",
+      properties: { total: { type: "integer" }, succeeded: { type: "integer" }, failed: { type: "integer" } }
+    },
+    results: { type: "array", items: { type: "object" } }
+  }
 };
 
 // People (Contacts) endpoints
+useToolset("people");
+const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
 addTool(
   "list_people",
   "GET",
   "/people",
-  "Retrieve all contacts from the CRM. Use this tool to get an overview of every lead and client; supports pagination and filtering.",
-  { type: "object", properties: {}, required: [] }
+  "Retrieve contacts from the CRM. Use this tool to get an overview of leads and clients, or to search them by name, email, phone, tags, stage, source, assigned agent, pond, smart list, dates, and last activity; supports pagination and filtering.",
+  {
+    type: "object",
+    properties: {
+      q: { type: "string", description: "Free-text search across name, email, and phone" },
+      name: { type: "string", description: "Full or partial contact name" },
+      email: { type: "string", description: "Exact email address" },
+      phone: { type: "string", description: "Phone number (any format)" },
+      tags: { type: "array", items: { type: "string" }, description: "Only contacts that have all of these tags" },
+      stage: { type: "string", description: "Stage name (e.g., Lead, Hot Prospect) as listed by list_stages" },
+      source: { type: "string", description: "Lead source (e.g., Zillow)" },
+      assignedUserId: { type: "integer", description: "Only contacts assigned to this user" },
+      assignedPondId: { type: "integer", description: "Only contacts in this pond" },
+      smartListId: { type: "integer", description: "Only contacts in this smart list (see list_smart_lists)" },
+      contacted: { type: "boolean", description: "Filter by whether the contact has been reached" },
+      createdAfter: { type: "string", format: "date-time", description: "Created on or after this time (ISO 8601)" },
+      createdBefore: { type: "string", format: "date-time", description: "Created on or before this time (ISO 8601)" },
+      updatedAfter: { type: "string", format: "date-time", description: "Updated on or after this time (ISO 8601)" },
+      updatedBefore: { type: "string", format: "date-time", description: "Updated on or before this time (ISO 8601)" },
+      lastActivityAfter: { type: "string", format: "date-time", description: "Last activity on or after this time (ISO 8601)" },
+      lastActivityBefore: { type: "string", format: "date-time", description: "Last activity on or before this time (ISO 8601)" },
+      inactiveForDays: { type: "integer", minimum: 1, description: "Only contacts with no activity in this many days (shortcut for lastActivityBefore)" },
+      activeWithinDays: { type: "integer", minimum: 1, description: "Only contacts with activity in the last this many days (shortcut for lastActivityAfter)" },
+      fields: { type: "string", description: "Comma-separated list of fields to return, or 'allFields' to include custom fields" },
+      includeTrash: { type: "boolean", description: "Also return contacts that are in the trash" }
+    },
+    required: []
+  },
+  {
+    mapArgs: ({ inactiveForDays, activeWithinDays, ...args }) => ({
+      ...args,
+      ...(inactiveForDays ? { lastActivityBefore: daysAgo(inactiveForDays) } : {}),
+      ...(activeWithinDays ? { lastActivityAfter: daysAgo(activeWithinDays) } : {})
+    })
+  }
 );
 addTool(
   "create_person",
   "POST",
   "/people",
-  "Add a new contact to the CRM. Provide the contact's details such as firstName, lastName, email, and phone. Use this tool when a new lead arrives.",
+  "Add a new contact to the CRM. Provide the contact's details such as firstName, lastName, emails, and phones. Use this tool when a new lead arrives.",
   {
     type: "object",
     properties: {
-      data: {
-        type: "object",
-        description: "An object containing the new contact's details (firstName, lastName, email, phone, etc.)"
-      }
+      data: { ...personDataSchema, description: "The new contact's details. Emails and phones are arrays of objects, e.g. emails: [{ value: 'jane@example.com' }]. Custom fields may be keyed by their label" }
     },
     required: ["data"]
-  }
+  },
+  { customFields: "person" }
 );
 addTool(
   "get_person",
@@ -65,10 +633,11 @@ addTool(
     type: "object",
     properties: {
       id: { type: "integer", description: "Contact ID" },
-      data: { type: "object", description: "Fields to update (e.g., updated email or phone number)" }
+      data: { ...asPartial(personDataSchema), description: "Fields to update (e.g., updated email or phone number). Custom fields may be keyed by their label" }
     },
     required: ["id", "data"]
-  }
+  },
+  { customFields: "person" }
 );
 addTool(
   "delete_person",
@@ -138,7 +707,8 @@ addTool(
       }
     },
     required: ["data"]
-  }
+  },
+  { requiresSystem: true }
 );
 addTool(
   "get_person_attachment",
@@ -177,7 +747,23 @@ addTool(
   }
 );
 
+// Events endpoint (preferred way to send new leads)
+addTool(
+  "send_event",
+  "POST",
+  "/events",
+  "Send a lead event (registration, inquiry, property inquiry, etc.) to the CRM. This is the preferred way to add a new lead: it deduplicates the person, attributes the source, assigns via lead flow, and triggers action plans. Use this instead of create_person for new inquiries.",
+  {
+    type: "object",
+    properties: {
+      data: { ...eventDataSchema, description: "Event details, including the type, source, person, and optionally the property and message" }
+    },
+    required: ["data"]
+  }
+);
+
 // People Relationships endpoints
+useToolset("people");
 addTool(
   "list_relationships",
   "GET",
@@ -239,15 +825,31 @@ addTool(
 );
 
 // Identity endpoint
+useToolset("admin");
 addTool(
   "get_identity",
   "GET",
   "/identity",
-  "Retrieve details about the current API user. Use this tool to confirm your authenticated identity in Follow Up Boss.",
-  { type: "object", properties: {}, required: [] }
+  "Retrieve details about the current API user. Use this tool to confirm your authenticated identity in Follow Up Boss; the result includes the name of the configured account that answered as configuredAccount.",
+  { type: "object", properties: {}, required: [] },
+  { mapResult: (result, { account }) => ({ ...result, configuredAccount: account }) }
 );
 
 // Notes endpoints
+useToolset("communications");
+addTool(
+  "list_notes",
+  "GET",
+  "/notes",
+  "Retrieve notes from contacts' timelines. Filter by personId to read the notes logged for one contact.",
+  {
+    type: "object",
+    properties: {
+      personId: { type: "integer", description: "Only notes on this contact" }
+    },
+    required: []
+  }
+);
 addTool(
   "create_note",
   "POST",
@@ -256,10 +858,7 @@ addTool(
   {
     type: "object",
     properties: {
-      data: {
-        type: "object",
-        description: "Note details, including text content and the associated contact ID"
-      }
+      data: { ...noteDataSchema, description: "Note details, including text content and the associated contact ID" }
     },
     required: ["data"]
   }
@@ -284,7 +883,7 @@ addTool(
     type: "object",
     properties: {
       id: { type: "integer", description: "Note ID" },
-      data: { type: "object", description: "Updated note content" }
+      data: { ...asPartial(noteDataSchema), description: "Updated note content" }
     },
     required: ["id", "data"]
   }
@@ -302,12 +901,19 @@ addTool(
 );
 
 // Calls endpoints
+useToolset("communications");
 addTool(
   "list_calls",
   "GET",
   "/calls",
   "Retrieve a log of all call records. Use this tool to view phone call interactions with leads.",
-  { type: "object", properties: {}, required: [] }
+  {
+    type: "object",
+    properties: {
+      personId: { type: "integer", description: "Only calls with this contact" }
+    },
+    required: []
+  }
 );
 addTool(
   "create_call",
@@ -352,12 +958,19 @@ addTool(
 );
 
 // Text Messages endpoints (requires registered system for creation)
+useToolset("communications");
 addTool(
   "list_text_messages",
   "GET",
   "/textMessages",
   "Retrieve a log of all text message communications recorded in the CRM.",
-  { type: "object", properties: {}, required: [] }
+  {
+    type: "object",
+    properties: {
+      personId: { type: "integer", description: "Only text messages with this contact" }
+    },
+    required: []
+  }
 );
 addTool(
   "create_text_message",
@@ -373,7 +986,8 @@ addTool(
       }
     },
     required: ["data"]
-  }
+  },
+  { requiresSystem: true }
 );
 addTool(
   "get_text_message",
@@ -388,6 +1002,7 @@ addTool(
 );
 
 // Users endpoints
+useToolset("org");
 addTool(
   "list_users",
   "GET",
@@ -426,6 +1041,7 @@ addTool(
 );
 
 // Smart Lists endpoints
+useToolset("people");
 addTool(
   "list_smart_lists",
   "GET",
@@ -446,6 +1062,7 @@ addTool(
 );
 
 // Action Plans endpoints
+useToolset("people");
 addTool(
   "list_action_plans",
   "GET",
@@ -455,6 +1072,7 @@ addTool(
 );
 
 // Action Plans People endpoints
+useToolset("people");
 addTool(
   "list_action_plans_people",
   "GET",
@@ -494,6 +1112,7 @@ addTool(
 );
 
 // Email Templates endpoints
+useToolset("templates");
 addTool(
   "list_email_templates",
   "GET",
@@ -556,7 +1175,8 @@ addTool(
       }
     },
     required: ["data"]
-  }
+  },
+  { retrySafe: true }
 );
 addTool(
   "delete_email_template",
@@ -571,6 +1191,7 @@ addTool(
 );
 
 // Text Message Templates endpoints
+useToolset("templates");
 addTool(
   "list_text_message_templates",
   "GET",
@@ -633,7 +1254,8 @@ addTool(
       }
     },
     required: ["data"]
-  }
+  },
+  { retrySafe: true }
 );
 addTool(
   "delete_text_message_template",
@@ -648,12 +1270,19 @@ addTool(
 );
 
 // Email Marketing endpoints
+useToolset("communications");
 addTool(
   "list_email_events",
   "GET",
   "/emEvents",
   "List email marketing events such as opens and clicks. Use this tool to track campaign performance.",
-  { type: "object", properties: {}, required: [] }
+  {
+    type: "object",
+    properties: {
+      personId: { type: "integer", description: "Only email events for this contact" }
+    },
+    required: []
+  }
 );
 addTool(
   "create_email_event",
@@ -710,6 +1339,7 @@ addTool(
 );
 
 // Custom Fields endpoints
+useToolset("admin");
 addTool(
   "list_custom_fields",
   "GET",
@@ -771,6 +1401,7 @@ addTool(
 );
 
 // Stages endpoints (contact stages)
+useToolset("admin");
 addTool(
   "list_stages",
   "GET",
@@ -832,12 +1463,20 @@ addTool(
 );
 
 // Tasks endpoints
+useToolset("tasks");
 addTool(
   "list_tasks",
   "GET",
   "/tasks",
   "Retrieve all tasks (to-do items) from the CRM, including upcoming and completed tasks.",
-  { type: "object", properties: {}, required: [] }
+  {
+    type: "object",
+    properties: {
+      personId: { type: "integer", description: "Only tasks for this contact" },
+      assignedUserId: { type: "integer", description: "Only tasks assigned to this user" }
+    },
+    required: []
+  }
 );
 addTool(
   "create_task",
@@ -847,10 +1486,7 @@ addTool(
   {
     type: "object",
     properties: {
-      data: {
-        type: "object",
-        description: "Task details (description, due date, assigned user, and optionally a contact ID)"
-      }
+      data: { ...taskDataSchema, description: "Task details (name, type, due date, assigned user, and the contact ID)" }
     },
     required: ["data"]
   }
@@ -875,7 +1511,7 @@ addTool(
     type: "object",
     properties: {
       id: { type: "integer", description: "Task ID" },
-      data: { type: "object", description: "Task fields to update" }
+      data: { ...asPartial(taskDataSchema), description: "Task fields to update" }
     },
     required: ["id", "data"]
   }
@@ -893,12 +1529,19 @@ addTool(
 );
 
 // Appointments endpoints
+useToolset("tasks");
 addTool(
   "list_appointments",
   "GET",
   "/appointments",
   "Retrieve all scheduled appointments or meetings.",
-  { type: "object", properties: {}, required: [] }
+  {
+    type: "object",
+    properties: {
+      personId: { type: "integer", description: "Only appointments with this contact" }
+    },
+    required: []
+  }
 );
 addTool(
   "create_appointment",
@@ -908,10 +1551,7 @@ addTool(
   {
     type: "object",
     properties: {
-      data: {
-        type: "object",
-        description: "Appointment details (title, datetime, participant IDs, etc.)"
-      }
+      data: { ...appointmentDataSchema, description: "Appointment details (title, start/end datetime, invitees, etc.)" }
     },
     required: ["data"]
   }
@@ -936,7 +1576,7 @@ addTool(
     type: "object",
     properties: {
       id: { type: "integer", description: "Appointment ID" },
-      data: { type: "object", description: "Updated appointment details" }
+      data: { ...asPartial(appointmentDataSchema), description: "Updated appointment details" }
     },
     required: ["id", "data"]
   }
@@ -954,6 +1594,7 @@ addTool(
 );
 
 // Appointment Types endpoints
+useToolset("admin");
 addTool(
   "list_appointment_types",
   "GET",
@@ -1015,6 +1656,7 @@ addTool(
 );
 
 // Appointment Outcomes endpoints
+useToolset("admin");
 addTool(
   "list_appointment_outcomes",
   "GET",
@@ -1076,6 +1718,7 @@ addTool(
 );
 
 // Webhooks endpoints
+useToolset("webhooks");
 addTool(
   "list_webhooks",
   "GET",
@@ -1150,6 +1793,7 @@ addTool(
 );
 
 // Pipelines endpoints (Deal Pipelines)
+useToolset("deals");
 addTool(
   "list_pipelines",
   "GET",
@@ -1211,12 +1855,20 @@ addTool(
 );
 
 // Deals endpoints
+useToolset("deals");
 addTool(
   "list_deals",
   "GET",
   "/deals",
   "Retrieve all deals (opportunities) from the CRM.",
-  { type: "object", properties: {}, required: [] }
+  {
+    type: "object",
+    properties: {
+      personId: { type: "integer", description: "Only deals that include this contact" },
+      pipelineId: { type: "integer", description: "Only deals in this pipeline" }
+    },
+    required: []
+  }
 );
 addTool(
   "create_deal",
@@ -1226,13 +1878,11 @@ addTool(
   {
     type: "object",
     properties: {
-      data: {
-        type: "object",
-        description: "Deal details (e.g., name, value, contact ID)"
-      }
+      data: { ...dealDataSchema, description: "Deal details (e.g., name, stageId, price, and contact IDs in peopleIds). Custom fields may be keyed by their label" }
     },
     required: ["data"]
-  }
+  },
+  { customFields: "deal" }
 );
 addTool(
   "get_deal",
@@ -1254,10 +1904,11 @@ addTool(
     type: "object",
     properties: {
       id: { type: "integer", description: "Deal ID" },
-      data: { type: "object", description: "Updated deal details" }
+      data: { ...asPartial(dealDataSchema), description: "Updated deal details. Custom fields may be keyed by their label" }
     },
     required: ["id", "data"]
-  }
+  },
+  { customFields: "deal" }
 );
 addTool(
   "delete_deal",
@@ -1284,7 +1935,8 @@ addTool(
       }
     },
     required: ["data"]
-  }
+  },
+  { requiresSystem: true }
 );
 addTool(
   "get_deal_attachment",
@@ -1324,6 +1976,7 @@ addTool(
 );
 
 // Deal Custom Fields endpoints
+useToolset("admin");
 addTool(
   "list_deal_custom_fields",
   "GET",
@@ -1385,6 +2038,7 @@ addTool(
 );
 
 // Groups endpoints
+useToolset("org");
 addTool(
   "list_groups",
   "GET",
@@ -1453,6 +2107,7 @@ addTool(
 );
 
 // Teams endpoints
+useToolset("org");
 addTool(
   "list_teams",
   "GET",
@@ -1523,6 +2178,7 @@ addTool(
 );
 
 // Ponds endpoints (lead ponds/unassigned lead pools)
+useToolset("org");
 addTool(
   "list_ponds",
   "GET",
@@ -1584,6 +2240,7 @@ addTool(
 );
 
 // Reactions endpoints
+useToolset("communications");
 addTool(
   "get_reaction",
   "GET",
@@ -1638,6 +2295,7 @@ addTool(
 );
 
 // Timeframes endpoint
+useToolset("admin");
 addTool(
   "list_timeframes",
   "GET",
@@ -1650,49 +2308,2825 @@ addTool(
 // End of Tool Definitions Section
 // ----------------------------
 
-// --- New MCP SDK Server Initialization using the SDK ---
+// ----------------------------
+// Argument Validation Section
+// ----------------------------
 
-// Create an MCP Server instance with a name and version.
-const server = new Server(
-  { name: "followupboss", version: "1.0.0" },
-  { capabilities: { tools: {} } }
-);
+// Minimal JSON Schema checker covering the keywords used by the tool schemas:
+// type, properties, required, additionalProperties, patternProperties, items,
+// enum, minimum/maximum and the date/date-time/email formats.
+// Returns a list of "path: problem" strings; an empty list means the value is valid.
+const FORMAT_CHECKS = {
+  date: (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value)),
+  "date-time": (value) => /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}/.test(value) && !Number.isNaN(Date.parse(value)),
+  email: (value) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value)
+};
 
-// Register a handler to list the available tools.
-// When a client requests the list of tools, this will return your "tools" array.
-server.setRequestHandler(ListToolsRequestSchema, async () => {
-  return { tools };
-});
+const typeOf = (value) => {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (Number.isInteger(value)) return "integer";
+  return typeof value;
+};
 
-// Register a handler for executing tools.
-// In this example, we simulate execution for demonstration purposes.
-server.setRequestHandler(CallToolRequestSchema, async (request) => {
-  try {
-    // For now, we simply simulate a response.
-    // Later, you can add specific cases for each tool.
-    switch (request.params.name) {
-      // Example: If you add a tool "list_people", you could handle it like this:
-      // case "list_people":
-      //   return { content: [{ type: "text", text: "Simulated response for list_people" }], isError: false };
-      default:
-        throw new McpError(ErrorCode.MethodNotFound, `Unknown tool: ${request.params.name}`);
+const matchesType = (value, type) => {
+  const actual = typeOf(value);
+  return actual === type || (type === "number" && actual === "integer");
+};
+
+const validateValue = (schema, value, path, errors) => {
+  if (!schema || typeof schema !== "object") return errors;
+  const label = path || "(arguments)";
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((type) => matchesType(value, type))) {
+      errors.push(`${label}: expected ${types.join(" or ")}, got ${typeOf(value)}`);
+      return errors;
     }
-  } catch (error) {
-    return {
-      content: [{
-        type: "text",
-        text: `Error: ${error instanceof Error ? error.message : String(error)}`
-      }],
-      isError: true
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${label}: must be one of ${schema.enum.map((option) => JSON.stringify(option)).join(", ")}`);
+  }
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${label}: must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${label}: must be <= ${schema.maximum}`);
+  }
+  if (typeof value === "string" && schema.format && FORMAT_CHECKS[schema.format] && !FORMAT_CHECKS[schema.format](value)) {
+    errors.push(`${label}: must be a valid ${schema.format}`);
+  }
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => validateValue(schema.items, item, `${path}[${index}]`, errors));
+  }
+
+  if (typeOf(value) === "object") {
+    const properties = schema.properties || {};
+    const patterns = Object.entries(schema.patternProperties || {}).map(([pattern, subschema]) => [new RegExp(pattern), subschema]);
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push(`${path ? `${path}.${key}` : key}: is required`);
+    }
+    for (const [key, item] of Object.entries(value)) {
+      if (item === undefined) continue;
+      const childPath = path ? `${path}.${key}` : key;
+      if (properties[key]) {
+        validateValue(properties[key], item, childPath, errors);
+        continue;
+      }
+      const pattern = patterns.find(([regex]) => regex.test(key));
+      if (pattern) {
+        validateValue(pattern[1], item, childPath, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${childPath}: unknown property`);
+      } else if (typeof schema.additionalProperties === "object") {
+        validateValue(schema.additionalProperties, item, childPath, errors);
+      }
+    }
+  }
+  return errors;
+};
+
+// Check tool arguments against the tool's inputSchema. Top-level arguments are
+// closed by default: anything the schema does not declare is reported as unknown.
+const validateArguments = (name, inputSchema, args) => {
+  const schema = { additionalProperties: false, ...inputSchema };
+  const errors = validateValue(schema, args, "", []);
+  if (errors.length) {
+    throw new McpError(
+      ErrorCode.InvalidParams,
+      `Invalid arguments for ${name}:\n${errors.map((error) => `- ${error}`).join("\n")}`
+    );
+  }
+};
+
+// ----------------------------
+// Follow Up Boss API Client Section
+// ----------------------------
+
+// Base URL for the Follow Up Boss REST API.
+const FUB_API_BASE = (process.env.FUB_API_BASE || "https://api.followupboss.com/v1").replace(/\/+$/, "");
+
+// Accounts the server can talk to. Several named accounts are configured with
+// FUB_ACCOUNTS (a JSON object) or FUB_ACCOUNTS_FILE (path to a JSON file):
+//   { "downtown": { "apiKey": "...", "system": "...", "systemKey": "..." }, "north": { ... } }
+// FUB_API_KEY, FUB_SYSTEM and FUB_SYSTEM_KEY configure an account named "default".
+// The API key is sent as the HTTP Basic username with an empty password. Registered
+// system credentials are sent as X-System / X-System-Key on every request when configured;
+// some endpoints (attachments, text messages) reject calls that do not come from a registered system.
+const loadAccounts = () => {
+  let configured = {};
+  if (process.env.FUB_ACCOUNTS_FILE) {
+    configured = JSON.parse(readFileSync(process.env.FUB_ACCOUNTS_FILE, "utf8"));
+  } else if (process.env.FUB_ACCOUNTS) {
+    configured = JSON.parse(process.env.FUB_ACCOUNTS);
+  }
+  if (process.env.FUB_API_KEY && !configured.default) {
+    configured = {
+      default: { apiKey: process.env.FUB_API_KEY, system: process.env.FUB_SYSTEM, systemKey: process.env.FUB_SYSTEM_KEY },
+      ...configured
     };
   }
-});
 
-// Connect the server using STDIO transport.
-// This starts listening for JSON-RPC messages over STDIN/STDOUT.
-server.connect(new StdioServerTransport())
-  .then(() => console.error("Follow Up Boss MCP Server is running in STDIO mode"))
-  .catch((error) => {
-    console.error("Fatal error running server:", error);
-    process.exit(1);
+  const loaded = {};
+  for (const [name, config] of Object.entries(configured)) {
+    if (!config || !config.apiKey) {
+      throw new Error(`Follow Up Boss account "${name}" has no apiKey configured.`);
+    }
+    loaded[name] = {
+      name,
+      apiKey: config.apiKey,
+      system: config.system,
+      systemKey: config.systemKey,
+      // Rate limits are tracked per API key; see the rate limiting section below.
+      rateLimit: { limit: null, remaining: null, resetAt: 0 },
+      queue: Promise.resolve()
+    };
+  }
+  return loaded;
+};
+
+const accounts = loadAccounts();
+const DEFAULT_ACCOUNT = process.env.FUB_DEFAULT_ACCOUNT || Object.keys(accounts)[0];
+if (Object.keys(accounts).length) {
+  accountProperty.enum = Object.keys(accounts);
+}
+
+// Look up a configured account by name (the default account when no name is given).
+const getAccount = (name) => {
+  if (!Object.keys(accounts).length) {
+    throw new Error("FUB_API_KEY is not set. Export your Follow Up Boss API key (or configure FUB_ACCOUNTS) before starting the server.");
+  }
+  const account = accounts[name || DEFAULT_ACCOUNT];
+  if (!account) {
+    throw new McpError(
+      ErrorCode.InvalidParams,
+      `Unknown Follow Up Boss account "${name || DEFAULT_ACCOUNT}". Configured accounts: ${Object.keys(accounts).join(", ")}`
+    );
+  }
+  return account;
+};
+
+const hasSystemCredentials = (account) => Boolean(account.system && account.systemKey);
+
+// Error raised when Follow Up Boss answers with a non-2xx status.
+class FubApiError extends Error {
+  constructor(status, message, body) {
+    super(message);
+    this.name = "FubApiError";
+    this.status = status;
+    this.body = body;
+  }
+}
+
+// Fill ":name" placeholders in a tool path from the arguments.
+// Returns the resolved path and the arguments that were not used by the path.
+const buildPath = (path, args) => {
+  const rest = { ...args };
+  const resolved = path.replace(/:(\w+)/g, (match, key) => {
+    if (rest[key] === undefined || rest[key] === null || rest[key] === "") {
+      throw new McpError(ErrorCode.InvalidParams, `Missing required path parameter: ${key}`);
+    }
+    const value = rest[key];
+    delete rest[key];
+    return encodeURIComponent(String(value));
   });
+  return { path: resolved, rest };
+};
+
+// Turn an arguments object into a URL query string (arrays are comma-joined).
+const buildQuery = (params) => {
+  const search = new URLSearchParams();
+  for (const [key, value] of Object.entries(params || {})) {
+    if (value === undefined || value === null) continue;
+    if (Array.isArray(value)) {
+      search.append(key, value.join(","));
+    } else if (typeof value === "object") {
+      search.append(key, JSON.stringify(value));
+    } else {
+      search.append(key, String(value));
+    }
+  }
+  const query = search.toString();
+  return query ? `?${query}` : "";
+};
+
+// ----------------------------
+// Rate limiting and retries
+// ----------------------------
+
+// Follow Up Boss reports the per-key budget in X-RateLimit-* headers. All outbound
+// requests go through fubRequest, which tracks that budget, holds requests back when
+// it is nearly spent, and retries 429/5xx responses with jittered exponential backoff.
+const MAX_RETRIES = Number(process.env.FUB_MAX_RETRIES ?? 3);
+const RETRY_BASE_DELAY_MS = Number(process.env.FUB_RETRY_BASE_DELAY_MS) || 500;
+const RETRY_MAX_DELAY_MS = 30000;
+const RATE_LIMIT_RESERVE = Number(process.env.FUB_RATE_LIMIT_RESERVE ?? 2);
+const DEFAULT_RATE_LIMIT_WINDOW_MS = 10000;
+const IDEMPOTENT_METHODS = new Set(["GET", "PUT", "DELETE"]);
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Parse a Retry-After header (seconds or HTTP date) into milliseconds.
+const parseRetryAfter = (value) => {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+// Record the budget reported by the latest response for an account.
+const updateRateLimit = (account, headers) => {
+  const rateLimitState = account.rateLimit;
+  const limit = headers.get("x-ratelimit-limit");
+  const remaining = headers.get("x-ratelimit-remaining");
+  if (limit !== null) rateLimitState.limit = Number(limit);
+  if (remaining !== null) rateLimitState.remaining = Number(remaining);
+
+  const reset = headers.get("x-ratelimit-reset");
+  const window = headers.get("x-ratelimit-window");
+  if (reset !== null && Number.isFinite(Number(reset))) {
+    // Either an epoch timestamp in seconds or a number of seconds until reset.
+    const value = Number(reset);
+    rateLimitState.resetAt = value > 1e9 ? value * 1000 : Date.now() + value * 1000;
+  } else if (remaining !== null) {
+    rateLimitState.resetAt = Date.now() + (window !== null ? Number(window) * 1000 : DEFAULT_RATE_LIMIT_WINDOW_MS);
+  }
+};
+
+// Wait for a slot in an account's budget. Slots are handed out one at a time so that
+// concurrent callers queue behind each other once the budget runs low.
+const acquireRateLimitSlot = (account) => {
+  const rateLimitState = account.rateLimit;
+  const slot = account.queue.then(async () => {
+    const { remaining, resetAt } = rateLimitState;
+    if (remaining !== null && remaining <= RATE_LIMIT_RESERVE && resetAt > Date.now()) {
+      await sleep(resetAt - Date.now());
+      rateLimitState.remaining = null;
+    }
+    if (rateLimitState.remaining !== null) {
+      rateLimitState.remaining -= 1;
+    }
+  });
+  account.queue = slot.catch(() => {});
+  return slot;
+};
+
+// Full-jitter exponential backoff, honouring Retry-After when the server sends one.
+const retryDelay = (attempt, retryAfterMs) => {
+  if (retryAfterMs !== null && retryAfterMs !== undefined) return Math.min(retryAfterMs, RETRY_MAX_DELAY_MS * 4);
+  const ceiling = Math.min(RETRY_MAX_DELAY_MS, RETRY_BASE_DELAY_MS * 2 ** attempt);
+  return Math.floor(Math.random() * ceiling);
+};
+
+const isRetryableStatus = (status) => status === 429 || status >= 500;
+
+// Build the URL and fetch options for a Follow Up Boss API call.
+const buildRequest = (method, path, { query, body, account } = {}) => {
+  const { apiKey, system, systemKey } = getAccount(account);
+  const url = path.startsWith("http") ? path : `${FUB_API_BASE}${path}${buildQuery(query)}`;
+  const headers = {
+    Authorization: `Basic ${Buffer.from(`${apiKey}:`).toString("base64")}`,
+    Accept: "application/json"
+  };
+  if (system && systemKey) {
+    headers["X-System"] = system;
+    headers["X-System-Key"] = systemKey;
+  }
+  const init = { method, headers };
+  if (body !== undefined) {
+    headers["Content-Type"] = "application/json";
+    init.body = JSON.stringify(body);
+  }
+  return { url, init };
+};
+
+// Send a request to the Follow Up Boss API, retrying as allowed, and return the parsed JSON body.
+// POST requests are only retried when the caller marks them as retrySafe.
+const sendRequest = async (method, path, { query, body, retrySafe = false, account, onStatus } = {}) => {
+  const { url, init } = buildRequest(method, path, { query, body, account });
+  const { rateLimit: rateLimitState } = getAccount(account);
+  const canRetry = IDEMPOTENT_METHODS.has(method) || retrySafe;
+
+  for (let attempt = 0; ; attempt++) {
+    await acquireRateLimitSlot(getAccount(account));
+
+    let response;
+    try {
+      response = await fetch(url, init);
+    } catch (error) {
+      // Network failures are retried like 5xx responses.
+      if (canRetry && attempt < MAX_RETRIES) {
+        await sleep(retryDelay(attempt));
+        continue;
+      }
+      throw error;
+    }
+    updateRateLimit(getAccount(account), response.headers);
+
+    const text = await response.text();
+    let parsed = null;
+    if (text) {
+      try {
+        parsed = JSON.parse(text);
+      } catch {
+        parsed = text;
+      }
+    }
+
+    if (response.ok) {
+      if (onStatus) onStatus(response.status);
+      return parsed;
+    }
+
+    const retryAfterMs = parseRetryAfter(response.headers.get("retry-after"));
+    if (response.status === 429) {
+      // Hold back every queued request until the limit window has passed.
+      rateLimitState.remaining = 0;
+      rateLimitState.resetAt = Date.now() + (retryAfterMs ?? DEFAULT_RATE_LIMIT_WINDOW_MS);
+    }
+    if (canRetry && isRetryableStatus(response.status) && attempt < MAX_RETRIES) {
+      await sleep(retryDelay(attempt, response.status === 429 ? null : retryAfterMs));
+      continue;
+    }
+
+    const detail = parsed && typeof parsed === "object" ? parsed.errorMessage || parsed.message || JSON.stringify(parsed) : parsed;
+    throw new FubApiError(
+      response.status,
+      `Follow Up Boss API ${method} ${path} failed with ${response.status} ${response.statusText}${detail ? `: ${detail}` : ""}`,
+      parsed
+    );
+  }
+};
+
+// ----------------------------
+// Reference Data Cache
+// ----------------------------
+
+// Slow-changing reference collections are served from an in-process read-through
+// cache. Entries expire after FUB_CACHE_TTL_SECONDS (default 300); FUB_CACHE_TTLS
+// overrides the TTL per collection, e.g. {"users": 60, "stages": 3600} (0 disables).
+// Any successful POST/PUT/DELETE on a collection drops that collection's entries.
+const CACHED_COLLECTIONS = [
+  "stages",
+  "users",
+  "customFields",
+  "dealCustomFields",
+  "pipelines",
+  "appointmentTypes",
+  "appointmentOutcomes",
+  "timeframes",
+  "groups"
+];
+const DEFAULT_CACHE_TTL_MS = (Number(process.env.FUB_CACHE_TTL_SECONDS ?? 300)) * 1000;
+const cacheTtls = JSON.parse(process.env.FUB_CACHE_TTLS || "{}");
+
+const cacheTtlMs = (collection) =>
+  cacheTtls[collection] !== undefined ? Number(cacheTtls[collection]) * 1000 : DEFAULT_CACHE_TTL_MS;
+
+const responseCache = new Map();
+
+// First path segment of an API path or full API URL ("/stages/3" -> "stages").
+const pathCollection = (path) => {
+  const relative = path.startsWith(FUB_API_BASE) ? path.slice(FUB_API_BASE.length) : path;
+  if (relative.startsWith("http")) return null;
+  return relative.split(/[/?]/).filter(Boolean)[0] || null;
+};
+
+// Drop cached entries for an account, optionally only those of one collection.
+// Returns the number of entries removed.
+const invalidateCache = (account, collection) => {
+  let removed = 0;
+  for (const [key, entry] of responseCache) {
+    if ((!account || entry.account === account) && (!collection || entry.collection === collection)) {
+      responseCache.delete(key);
+      removed += 1;
+    }
+  }
+  return removed;
+};
+
+// Send a request to the Follow Up Boss API and return the parsed JSON body.
+// `account` names the configured account to use (the default account when omitted).
+// GET requests for reference collections are answered from the cache when fresh.
+const fubRequest = async (method, path, options = {}) => {
+  const account = getAccount(options.account).name;
+  const collection = pathCollection(path);
+  const cacheable = method === "GET" && CACHED_COLLECTIONS.includes(collection) && cacheTtlMs(collection) > 0;
+  const key = cacheable ? JSON.stringify([account, path, options.query || {}]) : null;
+
+  if (cacheable) {
+    const entry = responseCache.get(key);
+    if (entry && entry.expiresAt > Date.now()) return structuredClone(entry.value);
+  }
+
+  const result = await sendRequest(method, path, { ...options, account });
+  if (cacheable) {
+    responseCache.set(key, { account, collection, expiresAt: Date.now() + cacheTtlMs(collection), value: structuredClone(result) });
+  } else if (method !== "GET" && CACHED_COLLECTIONS.includes(collection)) {
+    invalidateCache(account, collection);
+  }
+  return result;
+};
+
+useToolset("admin");
+addTool(
+  "flush_cache",
+  "GET",
+  null,
+  `Clear the server's cache of reference data (${CACHED_COLLECTIONS.join(", ")}). Use this tool when those settings were changed outside this server and you need fresh data.`,
+  {
+    type: "object",
+    properties: {
+      collection: { type: "string", enum: CACHED_COLLECTIONS, description: "Only clear this collection (default: all)" },
+      allAccounts: { type: "boolean", description: "Clear the cache for every configured account, not just the selected one" }
+    },
+    required: []
+  },
+  {
+    handler: async ({ collection, allAccounts }, { account }) => ({
+      flushed: invalidateCache(allAccounts ? null : account, collection || null),
+      collection: collection || "all",
+      account: allAccounts ? "all" : account
+    })
+  }
+);
+
+// Name of the array holding the records of a list response (e.g. "people"), if any.
+// Follow Up Boss names it in _metadata.collection; local list tools follow the same shape.
+const listCollection = (result) => {
+  if (!result || typeof result !== "object" || Array.isArray(result)) return null;
+  const named = result._metadata && result._metadata.collection;
+  return named && Array.isArray(result[named]) ? named : null;
+};
+
+// Default and page size used when a list tool is called with fetchAll.
+const FETCH_ALL_MAX = Number(process.env.FUB_FETCH_ALL_MAX) || 1000;
+const FETCH_ALL_PAGE_SIZE = 100;
+
+// Yield the pages of a list endpoint one at a time, following _metadata.next cursors.
+async function* iteratePages(path, query, { account } = {}) {
+  let page = await fubRequest("GET", path, { query: { limit: FETCH_ALL_PAGE_SIZE, ...query }, account });
+  yield page;
+  while (page && page._metadata && (page._metadata.next || page._metadata.nextLink)) {
+    const { next, nextLink } = page._metadata;
+    page = nextLink
+      ? await fubRequest("GET", nextLink, { account })
+      : await fubRequest("GET", path, { query: { limit: FETCH_ALL_PAGE_SIZE, ...query, offset: undefined, next }, account });
+    yield page;
+  }
+}
+
+const hasNextPage = (page) => Boolean(page && page._metadata && (page._metadata.next || page._metadata.nextLink));
+
+// Follow _metadata.next cursors from a list endpoint and merge the pages.
+// The collection key (e.g. "people", "deals") comes from _metadata.collection.
+const fetchAllPages = async (path, query, { maxRecords = FETCH_ALL_MAX, account } = {}) => {
+  let first = null;
+  let last = null;
+  let collection = null;
+  let pages = 0;
+  const records = [];
+  for await (const page of iteratePages(path, query, { account })) {
+    if (!first) {
+      first = page;
+      collection = listCollection(page);
+      if (!collection) return page;
+    }
+    last = page;
+    pages += 1;
+    records.push(...((page && page[collection]) || []));
+    if (records.length >= maxRecords) break;
+  }
+
+  const truncated = records.length > maxRecords || hasNextPage(last);
+  const { next, nextLink, ...firstMetadata } = first._metadata || {};
+  return {
+    _metadata: { ...firstMetadata, pages, fetched: Math.min(records.length, maxRecords), truncated },
+    [collection]: records.slice(0, maxRecords)
+  };
+};
+
+// ----------------------------
+// Custom Field Schemas
+// ----------------------------
+
+// The create/update person and deal tools list the account's custom fields with their
+// labels, types and dropdown choices. The advertised schemas follow the default account;
+// calls for another account are validated against that account's own definitions, which
+// are loaded on first use. Definitions are loaded at startup and reloaded by
+// refresh_custom_fields, after which clients are told the tool list changed. Callers may
+// key custom values by label ("Pre-approval Amount") instead of the API name
+// (customPreApprovalAmount); dispatchTool translates them.
+const customFieldSources = {
+  person: { path: "/customFields", schema: personDataSchema, tools: ["create_person", "update_person"] },
+  deal: { path: "/dealCustomFields", schema: dealDataSchema, tools: ["create_deal", "update_deal"] }
+};
+
+// Definitions by account name: { person: [...], deal: [...] }.
+const customFieldDefinitions = {};
+
+const normalizeLabel = (label) => String(label).toLowerCase().replace(/[^a-z0-9]/g, "");
+
+// JSON schema for a single custom field definition.
+const customFieldSchema = (field) => {
+  const description = `${field.label || field.name} (custom field)`;
+  switch (field.type) {
+    case "number":
+      return { type: "number", description };
+    case "date":
+      return { type: "string", format: "date", description };
+    case "dropdown": {
+      const choices = (field.choices || []).filter((choice) => typeof choice === "string");
+      return { type: "string", ...(choices.length ? { enum: choices } : {}), description };
+    }
+    default:
+      return { type: "string", description };
+  }
+};
+
+// A tool's `data` schema extended with one account's custom fields.
+const customDataSchema = (kind, data, definitions) => ({
+  ...data,
+  properties: {
+    ...customFieldSources[kind].schema.properties,
+    ...Object.fromEntries(definitions[kind].map((field) => [field.name, customFieldSchema(field)]))
+  }
+});
+
+// Rebuild the advertised `data` schema of the tools that carry one kind of custom field.
+const applyCustomFieldSchemas = (kind, definitions) => {
+  for (const name of customFieldSources[kind].tools) {
+    const { properties } = toolMap[name].inputSchema;
+    properties.data = customDataSchema(kind, properties.data, definitions);
+  }
+};
+
+// Fetch an account's custom field definitions, from memory unless `refresh` is set.
+const loadCustomFieldDefinitions = async (account, { refresh = false } = {}) => {
+  if (customFieldDefinitions[account] && !refresh) return customFieldDefinitions[account];
+  const definitions = {};
+  for (const [kind, { path }] of Object.entries(customFieldSources)) {
+    if (refresh) invalidateCache(account, pathCollection(path));
+    const result = await fetchAllPages(path, {}, { account });
+    definitions[kind] = result[listCollection(result)] || [];
+  }
+  customFieldDefinitions[account] = definitions;
+  return definitions;
+};
+
+// The input schema and definitions to check a call against. Calls for the default account
+// use the advertised schema; unknown accounts are left to argument validation to reject.
+const customFieldContext = async (tool, accountName) => {
+  if (!accountName || accountName === DEFAULT_ACCOUNT) {
+    return { inputSchema: tool.inputSchema, definitions: customFieldDefinitions[DEFAULT_ACCOUNT] };
+  }
+  if (!accounts[accountName]) return { inputSchema: tool.inputSchema, definitions: null };
+  const definitions = await loadCustomFieldDefinitions(accountName);
+  const { properties } = tool.inputSchema;
+  return {
+    inputSchema: { ...tool.inputSchema, properties: { ...properties, data: customDataSchema(tool.customFields, properties.data, definitions) } },
+    definitions
+  };
+};
+
+// Rename label keys in a payload to the custom field names the API expects.
+// Built-in properties and keys that already name a field are left alone.
+const translateCustomFieldLabels = (kind, data, definitions) => {
+  if (!definitions || !data || typeof data !== "object" || Array.isArray(data)) return data;
+  const { schema } = customFieldSources[kind];
+  const byLabel = new Map(definitions[kind].map((field) => [normalizeLabel(field.label || field.name), field.name]));
+  return Object.fromEntries(
+    Object.entries(data).map(([key, value]) => {
+      if (schema.properties[key] || key.startsWith("custom")) return [key, value];
+      return [byLabel.get(normalizeLabel(key)) || key, value];
+    })
+  );
+};
+
+const notifyToolListChanged = () => {
+  for (const server of activeServers) {
+    server.sendToolListChanged().catch((error) => console.error("Failed to notify tool list change:", error));
+  }
+};
+
+// Reload an account's custom field definitions. For the default account this also
+// updates the advertised tool schemas; other accounts' definitions are dropped with it
+// so that they are fetched again on their next use.
+const refreshCustomFieldSchemas = async (account = DEFAULT_ACCOUNT) => {
+  const name = getAccount(account).name;
+  if (name === DEFAULT_ACCOUNT) {
+    for (const other of Object.keys(customFieldDefinitions)) delete customFieldDefinitions[other];
+  }
+  const definitions = await loadCustomFieldDefinitions(name, { refresh: true });
+  if (name === DEFAULT_ACCOUNT) {
+    Object.keys(customFieldSources).forEach((kind) => applyCustomFieldSchemas(kind, definitions));
+    notifyToolListChanged();
+  }
+  return { person: definitions.person.length, deal: definitions.deal.length };
+};
+
+useToolset("admin");
+addTool(
+  "refresh_custom_fields",
+  "GET",
+  null,
+  "Reload the contact and deal custom field definitions used by create_person, update_person, create_deal and update_deal. Use this tool after custom fields were added or changed.",
+  { type: "object", properties: {}, required: [] },
+  {
+    handler: async (args, { account }) => {
+      await refreshCustomFieldSchemas(account);
+      const definitions = customFieldDefinitions[account];
+      return {
+        account,
+        personFields: definitions.person.map(({ name, label, type }) => ({ name, label, type })),
+        dealFields: definitions.deal.map(({ name, label, type }) => ({ name, label, type }))
+      };
+    }
+  }
+);
+
+// ----------------------------
+// Reference Resolution Section
+// ----------------------------
+
+// Resolve the `person` / `user` arguments added by withReferenceArguments. A reference
+// may be an email address, a phone number, or a name; when it matches more than one
+// record the caller gets the candidates back instead of a guess. IDs belong in the
+// integer ID arguments, so a string of digits is only ever read as a phone number.
+const REFERENCE_CANDIDATE_LIMIT = 10;
+
+const looksLikePhone = (text) => /^\+?[\d\s().-]{7,}$/.test(text);
+const phoneDigits = (text) => String(text || "").replace(/\D/g, "");
+
+const rejectNumericReference = (kind, text) => {
+  if (/^\d+$/.test(text) && !looksLikePhone(text)) {
+    throw new McpError(ErrorCode.InvalidParams, `"${text}" is not a phone number; pass ${kind === "person" ? "contact" : "user"} IDs in the ID argument instead of ${kind}.`);
+  }
+};
+
+const ambiguousReference = (kind, reference, matches, describe) =>
+  new McpError(
+    ErrorCode.InvalidParams,
+    `Several ${kind === "person" ? "contacts" : "users"} match "${reference}": ${matches.map(describe).join("; ")}. Call again with one of these IDs.`
+  );
+
+const describePerson = (person) => {
+  const email = person.emails && person.emails[0] && person.emails[0].value;
+  return `${person.id} (${[person.name, email].filter(Boolean).join(", ")})`;
+};
+
+// Find the one contact matching an email, phone, or name.
+const resolvePerson = async (reference, account) => {
+  const text = String(reference).trim();
+  rejectNumericReference("person", text);
+  const byContact = text.includes("@") ? { email: text } : looksLikePhone(text) ? { phone: text } : null;
+  const query = { ...(byContact || { name: text }), limit: REFERENCE_CANDIDATE_LIMIT, fields: "id,name,emails,phones" };
+  const result = await fubRequest("GET", "/people", { query, account });
+  let people = (result && result.people) || [];
+  if (!people.length && byContact) {
+    // The duplicate check also matches differently formatted phone numbers.
+    const duplicate = await fubRequest("GET", "/people/checkDuplicate", { query: byContact, account });
+    if (duplicate && duplicate.id) return duplicate.id;
+    people = (duplicate && duplicate.people) || [];
+  }
+  if (!byContact && people.length > 1) {
+    // A name search also returns partial matches; an exact full-name match wins.
+    const exact = people.filter((person) => String(person.name || "").toLowerCase() === text.toLowerCase());
+    if (exact.length) people = exact;
+  }
+  if (people.length === 1) return people[0].id;
+  if (!people.length) {
+    throw new McpError(ErrorCode.InvalidParams, `No contact found matching "${text}".`);
+  }
+  throw ambiguousReference("person", text, people, describePerson);
+};
+
+// Find the one user matching an email, phone, or name. The user list is reference data
+// and comes from the cache.
+const resolveUser = async (reference, account) => {
+  const text = String(reference).trim();
+  rejectNumericReference("user", text);
+  const result = await fetchAllPages("/users", {}, { account });
+  const users = result[listCollection(result)] || [];
+  const lower = text.toLowerCase();
+  let matches;
+  if (text.includes("@")) {
+    matches = users.filter((user) => String(user.email || "").toLowerCase() === lower);
+  } else if (looksLikePhone(text)) {
+    matches = users.filter((user) => phoneDigits(user.phone) && phoneDigits(user.phone).endsWith(phoneDigits(text).slice(-10)));
+  } else {
+    matches = users.filter((user) => String(user.name || "").toLowerCase() === lower);
+    if (!matches.length) matches = users.filter((user) => String(user.name || "").toLowerCase().includes(lower));
+  }
+  if (matches.length === 1) return matches[0].id;
+  if (!matches.length) {
+    throw new McpError(ErrorCode.InvalidParams, `No user found matching "${text}".`);
+  }
+  throw ambiguousReference("user", text, matches, (user) => `${user.id} (${[user.name, user.email].filter(Boolean).join(", ")})`);
+};
+
+const referenceResolvers = { person: resolvePerson, user: resolveUser };
+
+// Replace the reference arguments with the IDs they name.
+const resolveReferences = async (references, args, account) => {
+  for (const { kind, argument, many, items, path, required } of references) {
+    const [first, nested] = path;
+    if (items) {
+      await resolveItemReferences(path, args, account);
+      continue;
+    }
+    const field = path.join(".");
+    const current = nested ? args[first] && args[first][nested] : args[first];
+    if (args[argument] === undefined) {
+      if (required && current === undefined) {
+        throw new McpError(ErrorCode.InvalidParams, `Provide ${field} or ${argument}.`);
+      }
+      continue;
+    }
+    if (current !== undefined) {
+      throw new McpError(ErrorCode.InvalidParams, `Provide either ${field} or ${argument}, not both.`);
+    }
+    let id;
+    if (many) {
+      id = [];
+      for (const reference of args[argument]) id.push(await referenceResolvers[kind](reference, account));
+    } else {
+      id = await referenceResolvers[kind](args[argument], account);
+    }
+    delete args[argument];
+    if (nested) {
+      args[first] = { ...args[first], [nested]: id };
+    } else {
+      args[first] = id;
+    }
+  }
+};
+
+// Resolve the `person` / `user` given on the items of an array such as data.invitees.
+const resolveItemReferences = async ([first, nested], args, account) => {
+  const list = args[first] && args[first][nested];
+  if (!Array.isArray(list)) return;
+  const resolved = [];
+  for (const [index, item] of list.entries()) {
+    const copy = { ...item };
+    for (const [kind, field] of Object.entries(inviteeReferences)) {
+      if (copy[kind] === undefined) continue;
+      if (copy[field] !== undefined) {
+        throw new McpError(ErrorCode.InvalidParams, `Provide either ${first}.${nested}[${index}].${field} or ${kind}, not both.`);
+      }
+      copy[field] = await referenceResolvers[kind](copy[kind], account);
+      delete copy[kind];
+    }
+    resolved.push(copy);
+  }
+  args[first] = { ...args[first], [nested]: resolved };
+};
+
+// Turn filters written for a list tool (as used by bulk and export tools) into its API
+// query: `person` / `user` references are resolved and mapArgs is applied.
+const resolveListFilters = async (listTool, filters, account) => {
+  const tool = toolMap[listTool];
+  const resolved = { ...filters };
+  await resolveReferences(tool.references, resolved, account);
+  return tool.mapArgs ? tool.mapArgs(resolved) : resolved;
+};
+
+// ----------------------------
+// Safety Modes Section
+// ----------------------------
+
+// Read a boolean flag from the environment ("1", "true", "yes", "on" enable it).
+const envFlag = (name, defaultValue = false) => {
+  const value = process.env[name];
+  if (value === undefined || value === "") return defaultValue;
+  return ["1", "true", "yes", "on"].includes(value.toLowerCase());
+};
+
+// FUB_READ_ONLY hides and refuses every tool that does not use GET.
+// FUB_DRY_RUN answers mutating tools with the request that would have been sent.
+// FUB_CONFIRM_DELETES (on by default) makes DELETE tools hand out a confirmation token first.
+const READ_ONLY = envFlag("FUB_READ_ONLY");
+const DRY_RUN = envFlag("FUB_DRY_RUN");
+const CONFIRM_DELETES = envFlag("FUB_CONFIRM_DELETES", true);
+const CONFIRMATION_TTL_MS = (Number(process.env.FUB_CONFIRMATION_TTL_SECONDS) || 300) * 1000;
+
+// Whether a tool is advertised to and callable by a client under the current
+// configuration: its toolset is selected for that client (see the Toolsets section)
+// and read-only mode allows it.
+const isToolEnabled = (name, server) => {
+  const tool = toolMap[name];
+  if (!tool) return false;
+  return isToolSelected(name, server) && !(READ_ONLY && tool.method !== "GET");
+};
+
+// Outstanding delete confirmations, keyed by token. A token is only valid for
+// the exact tool and arguments it was issued for.
+const pendingConfirmations = new Map();
+
+const confirmationKey = (name, args) => JSON.stringify([name, Object.keys(args).sort().map((key) => [key, args[key]])]);
+
+const requestConfirmation = (name, args, request) => {
+  const now = Date.now();
+  for (const [token, entry] of pendingConfirmations) {
+    if (entry.expiresAt <= now) pendingConfirmations.delete(token);
+  }
+  const token = randomUUID().slice(0, 8);
+  const expiresAt = now + CONFIRMATION_TTL_MS;
+  pendingConfirmations.set(token, { key: confirmationKey(name, args), expiresAt, preview: request });
+  return {
+    confirmationRequired: true,
+    message: `${name} is irreversible. Call ${name} again with the same arguments and confirmationToken "${token}" to proceed.`,
+    confirmationToken: token,
+    expiresAt: new Date(expiresAt).toISOString(),
+    request
+  };
+};
+
+// Consume a confirmation token; throws if it is unknown, expired or issued for other arguments.
+const redeemConfirmation = (name, args, token) => {
+  const entry = pendingConfirmations.get(token);
+  pendingConfirmations.delete(token);
+  if (!entry || entry.expiresAt <= Date.now()) {
+    throw new McpError(ErrorCode.InvalidParams, `Confirmation token "${token}" is invalid or has expired. Call ${name} without a token to get a new one.`);
+  }
+  if (entry.key !== confirmationKey(name, args)) {
+    throw new McpError(ErrorCode.InvalidParams, `Confirmation token "${token}" was issued for a different ${name} call.`);
+  }
+  return entry.preview;
+};
+
+// Describe a request without sending it, with credentials masked.
+const describeRequest = (method, path, options) => {
+  const { url, init } = buildRequest(method, path, options);
+  const headers = { ...init.headers, Authorization: "Basic ***" };
+  if (headers["X-System-Key"]) headers["X-System-Key"] = "***";
+  return { account: getAccount(options.account).name, method, url, headers, body: options.body };
+};
+
+// Execute a tool from toolMap: path params come from the arguments, the remaining
+// arguments become the query string (GET/DELETE) and `data` becomes the JSON body (POST/PUT).
+// `reportProgress(progress, total, message)` is passed on to local tool handlers.
+// `client` (MCP client name, version and session) is recorded in the audit log for mutating calls.
+const dispatchTool = async (name, args = {}, { reportProgress = async () => {}, client = null, server = null } = {}) => {
+  const tool = toolMap[name];
+  if (!tool) {
+    throw new McpError(ErrorCode.MethodNotFound, `Unknown tool: ${name}`);
+  }
+  let inputSchema = tool.inputSchema;
+  if (tool.customFields && args.data) {
+    // Custom fields differ between accounts, so the call is checked against its own account's.
+    const context = await customFieldContext(tool, args.account);
+    inputSchema = context.inputSchema;
+    args = { ...args, data: translateCustomFieldLabels(tool.customFields, args.data, context.definitions) };
+  }
+  validateArguments(name, inputSchema, args);
+  if (!isToolEnabled(name, server)) {
+    throw new McpError(
+      ErrorCode.InvalidRequest,
+      isToolSelected(name, server)
+        ? `Tool ${name} is disabled because the server is running in read-only mode.`
+        : `Tool ${name} is not enabled on this server (toolset "${tool.toolset}").`
+    );
+  }
+  // Response shaping arguments are applied to the result by renderToolResult, not sent upstream.
+  const { confirmationToken, account: accountName, maxChars, ...toolArgs } = args;
+  if (name.startsWith("list_")) delete toolArgs.format;
+  if (!tool.ownFields) {
+    delete toolArgs.fields;
+  } else if (toolArgs.fields && toolArgs.fields !== "allFields") {
+    // The API only understands top-level field names; dot paths are resolved locally.
+    toolArgs.fields = [...new Set(toolArgs.fields.split(",").map((field) => field.trim().split(".")[0]).filter(Boolean))].join(",");
+  }
+  const account = getAccount(accountName).name;
+  if (tool.requiresSystem && !hasSystemCredentials(getAccount(account))) {
+    throw new McpError(
+      ErrorCode.InvalidRequest,
+      `Tool ${name} requires registered system credentials, which are not configured for account "${account}". Set FUB_SYSTEM and FUB_SYSTEM_KEY (or system/systemKey in FUB_ACCOUNTS) before starting the server.`
+    );
+  }
+  if (tool.references.length) {
+    await resolveReferences(tool.references, toolArgs, account);
+  }
+  const finish = (result) => (tool.mapResult ? tool.mapResult(result, { account }) : result);
+  const audit = { name, method: tool.method, account, args: toolArgs, client };
+  if (tool.handler) {
+    const handlerArgs = tool.mapArgs ? tool.mapArgs(toolArgs) : toolArgs;
+    const mutating = tool.method !== "GET";
+    // Deletes show their dry-run result as the preview when asking for confirmation, and
+    // the confirmed call receives that preview so it acts on exactly what was shown.
+    let confirmed = null;
+    if (tool.method === "DELETE" && CONFIRM_DELETES && !DRY_RUN) {
+      if (!confirmationToken) {
+        const preview = await tool.handler(handlerArgs, { account, dryRun: true, reportProgress, server });
+        return requestConfirmation(name, { ...toolArgs, account }, preview);
+      }
+      confirmed = redeemConfirmation(name, { ...toolArgs, account }, confirmationToken);
+    }
+    if (mutating && DRY_RUN) {
+      return finish(await tool.handler(handlerArgs, { account, dryRun: true, reportProgress, server }));
+    }
+    return finish(
+      await auditToolCall(audit, () => tool.handler(handlerArgs, { account, dryRun: false, confirmed, reportProgress, server }))
+    );
+  }
+  const { path, rest } = buildPath(tool.path, tool.mapArgs ? tool.mapArgs(toolArgs) : toolArgs);
+
+  if (tool.paginated && rest.fetchAll) {
+    const { fetchAll, maxRecords, ...query } = rest;
+    return finish(await fetchAllPages(path, query, { maxRecords: maxRecords || FETCH_ALL_MAX, account }));
+  }
+  if (tool.paginated) {
+    delete rest.fetchAll;
+    delete rest.maxRecords;
+  }
+
+  let options;
+  if (tool.method === "GET" || tool.method === "DELETE") {
+    options = { query: rest, account };
+  } else {
+    // Tools without a `data` payload (e.g. claim_person) send their remaining arguments as the body.
+    const { data, ...others } = rest;
+    const body = data !== undefined ? data : Object.keys(others).length ? others : undefined;
+    options = { body, retrySafe: tool.retrySafe, account };
+  }
+
+  if (tool.method !== "GET" && DRY_RUN) {
+    return { dryRun: true, request: describeRequest(tool.method, path, options) };
+  }
+  if (tool.method === "DELETE" && CONFIRM_DELETES) {
+    if (!confirmationToken) {
+      return requestConfirmation(name, { ...toolArgs, account }, describeRequest(tool.method, path, options));
+    }
+    redeemConfirmation(name, { ...toolArgs, account }, confirmationToken);
+  }
+  return finish(await auditToolCall(audit, (onStatus) => fubRequest(tool.method, path, { ...options, onStatus })));
+};
+
+// ----------------------------
+// Composite Tools Section
+// ----------------------------
+
+// Tools in this section run locally and combine several API calls.
+
+const shorten = (text, length = 140) => {
+  const clean = String(text || "").replace(/\s+/g, " ").trim();
+  return clean.length > length ? `${clean.slice(0, length - 1)}…` : clean;
+};
+
+// Sources gathered for a person's timeline: the API path, the date field to order by
+// and a one-line summary of each record.
+const timelineSources = {
+  notes: {
+    path: "/notes",
+    date: (note) => note.created,
+    summary: (note) => `Note${note.subject ? ` "${shorten(note.subject, 60)}"` : ""}: ${shorten(note.body)}`
+  },
+  calls: {
+    path: "/calls",
+    date: (call) => call.created,
+    summary: (call) =>
+      `${call.isIncoming ? "Incoming" : "Outgoing"} call${call.duration ? ` (${call.duration}s)` : ""}${call.outcome ? `, ${call.outcome}` : ""}${call.note ? `: ${shorten(call.note)}` : ""}`
+  },
+  textMessages: {
+    path: "/textMessages",
+    date: (text) => text.created,
+    summary: (text) => `${text.isIncoming ? "Text received" : "Text sent"}: ${shorten(text.message)}`
+  },
+  emEvents: {
+    path: "/emEvents",
+    date: (event) => event.occurred || event.created,
+    summary: (event) => `Email ${event.type || "event"}${event.subject ? `: ${shorten(event.subject, 80)}` : ""}`
+  },
+  tasks: {
+    path: "/tasks",
+    date: (task) => task.dueDateTime || task.dueDate || task.created,
+    summary: (task) => `Task${task.type ? ` (${task.type})` : ""}: ${shorten(task.name, 80)}${task.isCompleted ? " [completed]" : " [open]"}`
+  },
+  appointments: {
+    path: "/appointments",
+    date: (appointment) => appointment.start,
+    summary: (appointment) => `Appointment: ${shorten(appointment.title, 80)}${appointment.location ? ` at ${shorten(appointment.location, 60)}` : ""}`
+  },
+  deals: {
+    path: "/deals",
+    date: (deal) => deal.createdAt || deal.created,
+    summary: (deal) => `Deal: ${shorten(deal.name, 80)}${deal.stageName ? ` (${deal.stageName})` : ""}${deal.price ? `, $${deal.price}` : ""}`
+  },
+  actionPlansPeople: {
+    path: "/actionPlansPeople",
+    date: (enrollment) => enrollment.created,
+    summary: (enrollment) => `Action plan: ${shorten(enrollment.actionPlanName || `#${enrollment.actionPlanId}`, 80)}${enrollment.status ? ` (${enrollment.status})` : ""}`
+  }
+};
+
+useToolset("people");
+addTool(
+  "get_person_timeline",
+  "GET",
+  null,
+  "Build a complete, chronological timeline for one contact: their record plus notes, calls, text messages, email events, tasks, appointments, deals, action plans, and relationships, fetched in parallel and merged newest first with a short summary header. Identify the contact by personId, or by person (email, phone, or name). Use this tool to prepare for a call or meeting instead of calling each list tool separately.",
+  {
+    type: "object",
+    properties: {
+      personId: { type: "integer", description: "Contact ID" },
+      email: { type: "string", description: "Email address of the contact (used when personId is not given)" },
+      phone: { type: "string", description: "Phone number of the contact (used when personId and email are not given)" },
+      since: { type: "string", format: "date-time", description: "Only include timeline entries after this time (ISO 8601)" },
+      perSourceLimit: { type: "integer", minimum: 1, maximum: 100, description: "Maximum records fetched from each source (default 50)" },
+      sources: {
+        type: "array",
+        items: { type: "string", enum: Object.keys(timelineSources) },
+        description: "Only include these sources (default: all)"
+      }
+    },
+    required: []
+  },
+  {
+    outputSchema: {
+      type: "object",
+      properties: {
+        _metadata: metadataSchema,
+        summary: {
+          type: "object",
+          properties: {
+            personId: { type: "integer" },
+            name: { type: "string" },
+            lastActivity: nullable("string"),
+            openTasks: { type: "integer" },
+            upcomingAppointments: { type: "integer" },
+            counts: { type: "object" },
+            errors: { type: "object" }
+          }
+        },
+        timeline: {
+          type: "array",
+          items: {
+            type: "object",
+            properties: { at: nullable("string"), type: { type: "string" }, id: { type: "integer" }, summary: { type: "string" } }
+          }
+        }
+      }
+    },
+    handler: async ({ personId, email, phone, since, perSourceLimit = 50, sources = Object.keys(timelineSources) }, { account }) => {
+      if (!personId && !email && !phone) {
+        throw new McpError(ErrorCode.InvalidParams, "Provide personId, person, email, or phone.");
+      }
+      const id = personId || (await resolvePerson(email || phone, account));
+      const query = { personId: id, limit: perSourceLimit, sort: "-created" };
+
+      const [personResult, relationshipsResult, ...sourceResults] = await Promise.allSettled([
+        fubRequest("GET", `/people/${id}`, { query: { fields: "allFields" }, account }),
+        fubRequest("GET", "/peopleRelationships", { query: { personId: id }, account }),
+        ...sources.map((source) => fubRequest("GET", timelineSources[source].path, { query, account }))
+      ]);
+      if (personResult.status === "rejected") throw personResult.reason;
+      const person = personResult.value;
+
+      const sinceTime = since ? Date.parse(since) : null;
+      const counts = {};
+      const errors = {};
+      const timeline = [];
+      sources.forEach((source, index) => {
+        const outcome = sourceResults[index];
+        if (outcome.status === "rejected") {
+          errors[source] = outcome.reason.message;
+          return;
+        }
+        const records = (outcome.value && outcome.value[listCollection(outcome.value)]) || [];
+        counts[source] = records.length;
+        for (const record of records) {
+          const at = timelineSources[source].date(record);
+          if (sinceTime !== null && (!at || Date.parse(at) < sinceTime)) continue;
+          timeline.push({ at: at || null, type: source, id: record.id, summary: timelineSources[source].summary(record) });
+        }
+      });
+      timeline.sort((a, b) => (Date.parse(b.at) || 0) - (Date.parse(a.at) || 0));
+
+      const relationships = relationshipsResult.status === "fulfilled"
+        ? ((relationshipsResult.value && relationshipsResult.value.peopleRelationships) || []).map(
+          (relationship) => `${relationship.type || "Related"}: ${[relationship.firstName, relationship.lastName].filter(Boolean).join(" ") || relationship.name || `#${relationship.id}`}`
+        )
+        : [];
+      if (relationshipsResult.status === "rejected") errors.relationships = relationshipsResult.reason.message;
+
+      const now = Date.now();
+      const openTasks = timeline.filter((entry) => entry.type === "tasks" && entry.summary.endsWith("[open]")).length;
+      const upcoming = timeline.filter((entry) => entry.type === "appointments" && Date.parse(entry.at) > now).length;
+      const lastActivity = timeline.find((entry) => entry.at && Date.parse(entry.at) <= now);
+
+      return {
+        _metadata: { collection: "timeline", total: timeline.length },
+        summary: {
+          personId: id,
+          name: person.name || [person.firstName, person.lastName].filter(Boolean).join(" "),
+          stage: person.stage,
+          source: person.source,
+          assignedTo: person.assignedTo,
+          tags: person.tags,
+          emails: (person.emails || []).map((entry) => entry.value),
+          phones: (person.phones || []).map((entry) => entry.value),
+          lastActivity: lastActivity ? `${lastActivity.at}: ${lastActivity.summary}` : null,
+          openTasks,
+          upcomingAppointments: upcoming,
+          counts,
+          relationships,
+          ...(Object.keys(errors).length ? { errors } : {})
+        },
+        timeline
+      };
+    }
+  }
+);
+
+// Run `worker` over `items` with at most `concurrency` in flight, collecting a
+// per-item success/failure result and reporting progress as items finish.
+const runBulk = async (items, worker, { concurrency = 4, reportProgress = async () => {}, label = "items" } = {}) => {
+  const results = new Array(items.length);
+  const step = Math.max(1, Math.floor(items.length / 20));
+  let nextIndex = 0;
+  let done = 0;
+  const runNext = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      const item = items[index];
+      try {
+        const value = await worker(item);
+        results[index] = { id: item, status: "ok", ...(value !== undefined ? { result: value } : {}) };
+      } catch (error) {
+        results[index] = { id: item, status: "error", error: error.message };
+      }
+      done += 1;
+      if (done % step === 0 || done === items.length) {
+        await reportProgress(done, items.length, `Processed ${done} of ${items.length} ${label}`);
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, runNext));
+  const failed = results.filter((result) => result.status === "error").length;
+  return {
+    _metadata: { collection: "results", total: items.length },
+    summary: { total: items.length, succeeded: items.length - failed, failed },
+    results
+  };
+};
+
+// Bulk tools pick their people either from a list of IDs or from a list_people filter.
+const BULK_MAX_PEOPLE = Number(process.env.FUB_BULK_MAX_PEOPLE) || 1000;
+const peopleFilterProperties = Object.fromEntries(
+  Object.entries(toolMap.list_people.inputSchema.properties).filter(
+    ([key]) => !(key in paginationProperties) && !(key in outputProperties) && !["format", "account", "fields"].includes(key)
+  )
+);
+
+const bulkSelectionProperties = {
+  personIds: { type: "array", items: { type: "integer" }, description: "IDs of the contacts to change" },
+  filter: {
+    type: "object",
+    properties: peopleFilterProperties,
+    additionalProperties: false,
+    description: "Select contacts with the same filters as list_people (e.g., { stage: 'Lead', assignedUserId: 12 })"
+  },
+  maxPeople: {
+    type: "integer",
+    minimum: 1,
+    description: `Refuse to run if the selection has more contacts than this (default ${BULK_MAX_PEOPLE})`
+  },
+  concurrency: { type: "integer", minimum: 1, maximum: 10, description: "Number of contacts processed in parallel (default 4)" }
+};
+
+// Resolve a bulk selection to a list of person IDs.
+const selectPeople = async ({ personIds, filter, maxPeople = BULK_MAX_PEOPLE }, account) => {
+  if (!personIds === !filter) {
+    throw new McpError(ErrorCode.InvalidParams, "Provide exactly one of personIds or filter.");
+  }
+  let ids = personIds;
+  if (filter) {
+    const conditions = await resolveListFilters("list_people", filter, account);
+    // Conditions the API ignores would select every contact, so only its own filters count.
+    const ignored = Object.keys(conditions).filter((key) => !(key in peopleFilterProperties) || key in referenceDescriptions);
+    if (ignored.length) {
+      throw new McpError(ErrorCode.InvalidParams, `Unsupported filter conditions: ${ignored.join(", ")}.`);
+    }
+    if (!Object.keys(conditions).some((key) => key !== "includeTrash")) {
+      throw new McpError(ErrorCode.InvalidParams, "The filter has no conditions and would select every contact. Add a condition or list the contacts in personIds.");
+    }
+    const query = { ...conditions, fields: "id" };
+    const result = await fetchAllPages("/people", query, { maxRecords: maxPeople + 1, account });
+    ids = result.people.map((person) => person.id);
+  }
+  ids = [...new Set(ids)];
+  if (ids.length > maxPeople) {
+    throw new McpError(
+      ErrorCode.InvalidParams,
+      `The selection matches more than ${maxPeople} contacts. Narrow the filter or raise maxPeople.`
+    );
+  }
+  return ids;
+};
+
+// Shared handler for bulk tools: select the people, then either describe the
+// change (dry run) or apply `change(personId)` to each of them.
+const bulkPeopleHandler = (describe, change, check) => async (args, { account, dryRun, confirmed, reportProgress }) => {
+  // Arguments are checked before any contact is selected, so a call that cannot succeed
+  // fails once instead of once per contact.
+  if (check) check(args);
+  // A confirmed delete acts on the contacts listed in its preview, even if the filter now matches others.
+  const ids = confirmed && confirmed.personIds ? confirmed.personIds : await selectPeople(args, account);
+  if (dryRun) {
+    return { dryRun: true, operation: describe(args), count: ids.length, personIds: ids };
+  }
+  const outcome = await runBulk(ids, (personId) => change(personId, args, account), {
+    concurrency: args.concurrency || 4,
+    reportProgress,
+    label: "contacts"
+  });
+  return { operation: describe(args), ...outcome };
+};
+
+useToolset("bulk");
+addTool(
+  "bulk_update_people",
+  "PUT",
+  null,
+  "Change many contacts at once: reassign them to another agent, add or remove tags, or move them to another stage. Select the contacts by personIds or by a list_people filter. Returns a success/failure result for each contact. Use this tool, for example, to hand a departing agent's leads to someone else.",
+  {
+    type: "object",
+    properties: {
+      ...bulkSelectionProperties,
+      assignedUserId: { type: "integer", description: "Reassign the contacts to this user" },
+      stage: { type: "string", description: "Move the contacts to this stage (see list_stages)" },
+      addTags: { type: "array", items: { type: "string" }, description: "Tags to add to each contact" },
+      removeTags: { type: "array", items: { type: "string" }, description: "Tags to remove from each contact" }
+    },
+    required: []
+  },
+  {
+    outputSchema: bulkOutputSchema,
+    handler: bulkPeopleHandler(
+      ({ assignedUserId, stage, addTags, removeTags }) => ({ assignedUserId, stage, addTags, removeTags }),
+      async (personId, { assignedUserId, stage, addTags, removeTags }, account) => {
+        const data = {};
+        if (assignedUserId !== undefined) data.assignedUserId = assignedUserId;
+        if (stage !== undefined) data.stage = stage;
+        if (addTags || removeTags) {
+          // Tags are replaced as a whole on update, so start from the contact's current tags.
+          const person = await fubRequest("GET", `/people/${personId}`, { query: { fields: "id,tags" }, account });
+          const remove = new Set(removeTags || []);
+          data.tags = [...new Set([...(person.tags || []), ...(addTags || [])])].filter((tag) => !remove.has(tag));
+        }
+        await fubRequest("PUT", `/people/${personId}`, { body: data, account });
+      },
+      ({ assignedUserId, stage, addTags, removeTags }) => {
+        if (assignedUserId === undefined && stage === undefined && !(addTags || []).length && !(removeTags || []).length) {
+          throw new McpError(ErrorCode.InvalidParams, "Nothing to change: give assignedUserId (or user), stage, addTags, or removeTags.");
+        }
+      }
+    )
+  }
+);
+
+addTool(
+  "bulk_claim_people",
+  "POST",
+  null,
+  "Claim many unclaimed leads at once, selected by personIds or by a list_people filter. Returns a success/failure result for each lead.",
+  {
+    type: "object",
+    properties: bulkSelectionProperties,
+    required: []
+  },
+  {
+    outputSchema: bulkOutputSchema,
+    handler: bulkPeopleHandler(
+      () => ({ claim: true }),
+      async (personId, args, account) => {
+        await fubRequest("POST", "/people/claim", { body: { id: personId }, account });
+      }
+    )
+  }
+);
+
+addTool(
+  "bulk_enroll_action_plan",
+  "POST",
+  null,
+  "Enroll many contacts in an action plan at once, selected by personIds or by a list_people filter. Returns a success/failure result for each contact.",
+  {
+    type: "object",
+    properties: {
+      ...bulkSelectionProperties,
+      actionPlanId: { type: "integer", description: "Action plan to start (see list_action_plans)" }
+    },
+    required: ["actionPlanId"]
+  },
+  {
+    outputSchema: bulkOutputSchema,
+    handler: bulkPeopleHandler(
+      ({ actionPlanId }) => ({ actionPlanId }),
+      async (personId, { actionPlanId }, account) => {
+        await fubRequest("POST", "/actionPlansPeople", { body: { personId, actionPlanId }, account });
+      }
+    )
+  }
+);
+
+addTool(
+  "bulk_delete_people",
+  "DELETE",
+  null,
+  "Delete many contacts at once, selected by personIds or by a list_people filter. The first call returns the contacts that would be deleted and a confirmation token; call again with the token to delete them. Returns a success/failure result for each contact.",
+  {
+    type: "object",
+    properties: bulkSelectionProperties,
+    required: []
+  },
+  {
+    outputSchema: bulkOutputSchema,
+    handler: bulkPeopleHandler(
+      () => ({ delete: true }),
+      async (personId, args, account) => {
+        await fubRequest("DELETE", `/people/${personId}`, { account });
+      }
+    )
+  }
+);
+
+// ----------------------------
+// Import Section
+// ----------------------------
+
+// Files read and written by the import and export tools live in FUB_FILES_DIR (default
+// ~/fub-mcp-files, created on first use). Relative paths resolve inside it; paths that
+// leave it, directly or through a symbolic link, are refused, as is the audit log.
+const FILES_DIR = nodePath.resolve(process.env.FUB_FILES_DIR || nodePath.join(homedir(), "fub-mcp-files"));
+
+const isInsideDir = (dir, target) => target.startsWith(`${dir}${nodePath.sep}`);
+
+const resolveLocalPath = async (file) => {
+  const refuse = () =>
+    new McpError(ErrorCode.InvalidParams, `${file} is outside the files directory ${FILES_DIR} (set with FUB_FILES_DIR).`);
+  const resolved = nodePath.resolve(FILES_DIR, file);
+  if (!isInsideDir(FILES_DIR, resolved)) throw refuse();
+  await mkdir(FILES_DIR, { recursive: true });
+  let real;
+  try {
+    real = await realpath(resolved);
+  } catch (error) {
+    if (error.code !== "ENOENT") throw error;
+    real = nodePath.join(await realpath(nodePath.dirname(resolved)), nodePath.basename(resolved));
+  }
+  if (!isInsideDir(await realpath(FILES_DIR), real)) throw refuse();
+  if (AUDIT_LOG && (resolved === AUDIT_LOG || real === AUDIT_LOG)) {
+    throw new McpError(ErrorCode.InvalidParams, `${file} is the audit log, which tools cannot read or write.`);
+  }
+  return resolved;
+};
+
+// Parse CSV text (RFC 4180: quoted fields, doubled quotes, CRLF) into rows of strings.
+// Blank rows are kept so that callers can report row numbers as they appear in the file.
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  const input = text.replace(/^\uFEFF/, "");
+  for (let index = 0; index < input.length; index++) {
+    const char = input[index];
+    if (quoted) {
+      if (char === '"' && input[index + 1] === '"') {
+        field += '"';
+        index += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[index + 1] === "\n") index += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+};
+
+const isBlankRow = (cells) => cells.every((cell) => cell.trim() === "");
+
+// Person fields a CSV column can map to, with the header names recognised automatically.
+const importFieldAliases = {
+  firstName: ["first name", "firstname", "first"],
+  lastName: ["last name", "lastname", "last", "surname"],
+  email: ["email", "email address", "e-mail"],
+  phone: ["phone", "phone number", "mobile", "cell"],
+  tags: ["tags", "tag"],
+  stage: ["stage"],
+  source: ["source", "lead source"],
+  price: ["price"],
+  assignedUserId: ["assigned user id", "assigneduserid", "agent id"],
+  background: ["background", "notes", "comments"],
+  street: ["street", "address", "street address"],
+  city: ["city"],
+  state: ["state"],
+  code: ["zip", "zip code", "postal code", "code"],
+  country: ["country"]
+};
+
+const normalizeHeader = (header) => header.trim().toLowerCase().replace(/[_\s]+/g, " ");
+
+// Build the column -> field mapping: explicit entries win, other columns are matched
+// against the aliases above and the account's custom field labels and names.
+const buildImportMapping = (headers, explicit, customFields) => {
+  const mapping = {};
+  for (const header of headers) {
+    const target = explicit[header];
+    if (target === null || target === "") continue;
+    if (target) {
+      const custom = customFields.find((field) => field.name === target || field.label === target);
+      mapping[header] = custom ? custom.name : target;
+      continue;
+    }
+    const normalized = normalizeHeader(header);
+    const known = Object.keys(importFieldAliases).find(
+      (field) => field.toLowerCase() === normalized || importFieldAliases[field].includes(normalized)
+    );
+    const custom = customFields.find((field) => normalizeHeader(field.label || "") === normalized || field.name === header);
+    if (known) mapping[header] = known;
+    else if (custom) mapping[header] = custom.name;
+  }
+  return mapping;
+};
+
+// Turn one CSV row into a person payload for create_person/update_person. Values of
+// number custom fields are converted so that they validate and reach the API as numbers.
+const rowToPerson = (record, mapping, customFields) => {
+  const numberFields = new Set(customFields.filter((field) => field.type === "number").map((field) => field.name));
+  const person = {};
+  const address = {};
+  for (const [header, field] of Object.entries(mapping)) {
+    const value = (record[header] || "").trim();
+    if (!value) continue;
+    if (field === "email") person.emails = [...(person.emails || []), { value }];
+    else if (field === "phone") person.phones = [...(person.phones || []), { value }];
+    else if (field === "tags") person.tags = value.split(/[;,]/).map((tag) => tag.trim()).filter(Boolean);
+    else if (field === "price" || numberFields.has(field)) {
+      // Text that is not a number is kept as is, so validation reports it.
+      const number = Number(value.replace(/[$,]/g, ""));
+      person[field] = Number.isFinite(number) ? number : value;
+    }
+    else if (field === "assignedUserId") person.assignedUserId = Number(value);
+    else if (["street", "city", "state", "code", "country"].includes(field)) address[field] = value;
+    else person[field] = value;
+  }
+  if (Object.keys(address).length) person.addresses = [address];
+  return person;
+};
+
+// Find the ID of an existing person with the same email or phone, if any.
+const findDuplicatePerson = async (person, account) => {
+  const email = person.emails && person.emails[0].value;
+  const phone = person.phones && person.phones[0].value;
+  if (!email && !phone) return null;
+  const result = await fubRequest("GET", "/people/checkDuplicate", { query: email ? { email } : { phone }, account });
+  if (!result) return null;
+  if (result.id) return result.id;
+  const matches = result.people || [];
+  return matches.length ? matches[0].id : null;
+};
+
+// Emails, phones, tags and addresses are replaced as a whole on update, so a row only
+// adds its values to the contact's current ones instead of overwriting them.
+const mergeImportedPerson = async (personId, person, account) => {
+  const arrays = ["emails", "phones", "tags", "addresses"].filter((field) => person[field]);
+  if (!arrays.length) return person;
+  const existing = await fubRequest("GET", `/people/${personId}`, { query: { fields: ["id", ...arrays].join(",") }, account });
+  const keys = {
+    emails: (email) => String(email.value).toLowerCase(),
+    phones: (phone) => phoneDigits(phone.value),
+    tags: (tag) => tag,
+    addresses: (address) => JSON.stringify(["street", "city", "state", "code", "country"].map((field) => address[field] || ""))
+  };
+  const merged = { ...person };
+  for (const field of arrays) {
+    const current = (existing && existing[field]) || [];
+    const seen = new Set(current.map(keys[field]));
+    merged[field] = [...current, ...person[field].filter((item) => !seen.has(keys[field](item)))];
+  }
+  return merged;
+};
+
+useToolset("import_export");
+addTool(
+  "import_people_csv",
+  "POST",
+  null,
+  "Import contacts from a CSV file in the server's files directory (FUB_FILES_DIR), e.g. an open-house sign-in sheet or a purchased list. Columns are mapped to contact fields and custom fields automatically by header name, or with an explicit mapping. Each row is checked for duplicates by email or phone, then created, updated, or skipped according to onDuplicate. Use dryRun to get a per-row report without changing anything.",
+  {
+    type: "object",
+    properties: {
+      file: { type: "string", description: "Path of the CSV file, relative to the server's files directory; the first row must contain the column headers" },
+      mapping: {
+        type: "object",
+        additionalProperties: { type: ["string", "null"] },
+        description: `Column header -> field. Fields: ${Object.keys(importFieldAliases).join(", ")}, or a custom field name or label (e.g., 'Pre-approval Amount'). Map a column to null to ignore it.`
+      },
+      onDuplicate: {
+        type: "string",
+        enum: ["skip", "update", "create"],
+        description: "What to do when a contact with the same email or phone exists (default skip). update adds the row's emails, phones, tags and address to the contact's existing ones"
+      },
+      defaults: {
+        ...asPartial(personDataSchema),
+        description: "Fields applied to every imported contact unless the row has its own value (e.g., { source: 'Open House', tags: ['open-house'] })"
+      },
+      dryRun: { type: "boolean", description: "Only report what would happen to each row" },
+      maxRows: { type: "integer", minimum: 1, description: "Refuse files with more data rows than this (default 5000)" },
+      concurrency: { type: "integer", minimum: 1, maximum: 10, description: "Number of rows processed in parallel (default 2)" }
+    },
+    required: ["file"]
+  },
+  {
+    outputSchema: bulkOutputSchema,
+    handler: async ({ file, mapping = {}, onDuplicate = "skip", defaults = {}, dryRun, maxRows = 5000, concurrency = 2 }, context) => {
+      const { account, reportProgress } = context;
+      const preview = dryRun || context.dryRun;
+      const [headers = [], ...rows] = parseCsv(await readFile(await resolveLocalPath(file), "utf8"));
+      // Rows are numbered as in the file, counting the header as row 1.
+      const dataRows = rows
+        .map((cells, index) => ({ cells, row: index + 2 }))
+        .filter(({ cells }) => !isBlankRow(cells));
+      if (!dataRows.length) {
+        throw new McpError(ErrorCode.InvalidParams, `${file} has no data rows.`);
+      }
+      if (dataRows.length > maxRows) {
+        throw new McpError(ErrorCode.InvalidParams, `${file} has ${dataRows.length} rows, more than maxRows (${maxRows}).`);
+      }
+
+      const definitions = await loadCustomFieldDefinitions(account);
+      const customFields = definitions.person;
+      const columnMapping = buildImportMapping(headers, mapping, customFields);
+      // Rows are checked against the account's custom field types, dropdown choices and dates.
+      const rowSchema = customDataSchema("person", personDataSchema, definitions);
+      const unmapped = headers.filter((header) => !columnMapping[header]);
+
+      const outcome = await runBulk(
+        dataRows,
+        async ({ cells, row }) => {
+          const record = Object.fromEntries(headers.map((header, column) => [header, cells[column]]));
+          const person = { ...defaults, ...rowToPerson(record, columnMapping, customFields) };
+          const errors = validateValue(rowSchema, person, "", []);
+          if (!person.firstName && !person.lastName && !person.emails && !person.phones) {
+            errors.push("row has no name, email, or phone");
+          }
+          if (errors.length) throw new Error(errors.join("; "));
+
+          const duplicateId = onDuplicate === "create" ? null : await findDuplicatePerson(person, account);
+          const action = duplicateId ? (onDuplicate === "update" ? "update" : "skip") : "create";
+          const report = { row, action, ...(duplicateId ? { personId: duplicateId } : {}) };
+          if (preview || action === "skip") return { ...report, ...(preview ? { person } : {}) };
+          if (action === "update") {
+            await fubRequest("PUT", `/people/${duplicateId}`, { body: await mergeImportedPerson(duplicateId, person, account), account });
+            return report;
+          }
+          const created = await fubRequest("POST", "/people", { body: person, account });
+          return { ...report, personId: created && created.id };
+        },
+        { concurrency, reportProgress, label: "rows" }
+      );
+
+      const actions = {};
+      for (const result of outcome.results) {
+        const key = result.status === "ok" ? result.result.action : "error";
+        actions[key] = (actions[key] || 0) + 1;
+      }
+      return {
+        ...(preview ? { dryRun: true } : {}),
+        file,
+        mapping: columnMapping,
+        unmappedColumns: unmapped,
+        ...outcome,
+        summary: { ...outcome.summary, actions },
+        results: outcome.results.map(({ id, status, result, error }) => (status === "ok" ? result : { row: id.row, action: "error", error }))
+      };
+    }
+  }
+);
+
+// ----------------------------
+// Export Section
+// ----------------------------
+
+// Export tools page through a list endpoint and stream every record to a local
+// CSV or NDJSON file, so large extracts never pass through the model's context.
+const EXPORT_MAX_RECORDS = Number(process.env.FUB_EXPORT_MAX_RECORDS) || 100000;
+
+// Flatten nested objects into dot-separated keys; arrays (emails, phones, tags)
+// become a single "; "-joined cell.
+const flattenRecord = (record, prefix = "", flat = {}) => {
+  for (const [key, value] of Object.entries(record || {})) {
+    const name = prefix ? `${prefix}.${key}` : key;
+    if (value && typeof value === "object" && !Array.isArray(value)) {
+      flattenRecord(value, name, flat);
+    } else {
+      flat[name] = Array.isArray(value) ? cellText(value) : value;
+    }
+  }
+  return flat;
+};
+
+// Write a line to a stream, waiting for it to drain when its buffer is full.
+const writeLine = async (stream, line) => {
+  if (!stream.write(`${line}\n`)) await once(stream, "drain");
+};
+
+const exportRecords = async (listTool, { file, format = "csv", columns, flatten = true, overwrite = false, maxRecords = EXPORT_MAX_RECORDS, filters }, { account, dryRun, reportProgress }) => {
+  const tool = toolMap[listTool];
+  const target = await resolveLocalPath(file);
+  const { path, rest } = buildPath(tool.path, await resolveListFilters(listTool, filters, account));
+  if (dryRun) {
+    return { dryRun: true, file: target, format, overwrite, request: describeRequest("GET", path, { query: rest, account }) };
+  }
+  const stream = createWriteStream(target, { flags: overwrite ? "w" : "wx" });
+  try {
+    await once(stream, "open");
+  } catch (error) {
+    if (error.code === "EEXIST") {
+      throw new McpError(ErrorCode.InvalidParams, `${file} already exists. Choose another file or pass overwrite: true.`);
+    }
+    throw error;
+  }
+
+  let header = columns && columns.length ? columns : null;
+  if (header && format === "csv") {
+    await writeLine(stream, header.map(csvCell).join(","));
+  }
+  let rows = 0;
+  let pages = 0;
+  let truncated = false;
+  try {
+    for await (const page of iteratePages(path, rest, { account })) {
+      pages += 1;
+      const records = page[listCollection(page)] || [];
+      for (const record of records) {
+        if (rows >= maxRecords) {
+          truncated = true;
+          break;
+        }
+        const selected = columns && columns.length && !flatten ? projectRecord(record, columns) : record;
+        const shaped = flatten || format === "csv" ? flattenRecord(selected) : selected;
+        if (format === "ndjson") {
+          const output = flatten && header ? Object.fromEntries(header.map((column) => [column, shaped[column]])) : shaped;
+          await writeLine(stream, JSON.stringify(output));
+        } else {
+          // Without explicit columns, the CSV header comes from the records on the first page.
+          if (!header) {
+            header = tableColumns(records.map((item) => flattenRecord(item)));
+            await writeLine(stream, header.map(csvCell).join(","));
+          }
+          await writeLine(stream, header.map((column) => csvCell(cellText(shaped[column]))).join(","));
+        }
+        rows += 1;
+      }
+      await reportProgress(rows, Math.min(maxRecords, (page._metadata && page._metadata.total) || rows), `Exported ${rows} records`);
+      if (truncated) break;
+    }
+  } finally {
+    stream.end();
+    await once(stream, "finish").catch(() => {});
+  }
+  return { file: target, format, rows, pages, columns: header, truncated };
+};
+
+const exportOutputSchema = {
+  type: "object",
+  properties: {
+    file: { type: "string", description: "Absolute path of the written file" },
+    format: { type: "string", enum: ["csv", "ndjson"] },
+    rows: { type: "integer", description: "Records written" },
+    pages: { type: "integer", description: "API pages read" },
+    columns: nullable("array"),
+    truncated: { type: "boolean", description: "Whether the export stopped at maxRecords" }
+  }
+};
+
+const exportTargets = {
+  export_people: "list_people",
+  export_deals: "list_deals",
+  export_calls: "list_calls",
+  export_text_messages: "list_text_messages",
+  export_tasks: "list_tasks",
+  export_appointments: "list_appointments"
+};
+
+for (const [name, listTool] of Object.entries(exportTargets)) {
+  const filterProperties = Object.fromEntries(
+    Object.entries(toolMap[listTool].inputSchema.properties).filter(
+      ([key]) => !(key in paginationProperties) && !(key in outputProperties) && !["format", "account"].includes(key)
+    )
+  );
+  const collection = toolMap[listTool].path.slice(1);
+  addTool(
+    name,
+    "POST",
+    null,
+    `Export every record returned by ${listTool} (with the same filters) to a local CSV or NDJSON file, paging through the API as it writes. Returns only the file path and row counts, not the data. Use this tool for full extracts of ${collection} for analysis outside the conversation.`,
+    {
+      type: "object",
+      properties: {
+        file: { type: "string", description: "Path of the file to write, relative to the server's files directory" },
+        format: { type: "string", enum: ["csv", "ndjson"], description: "File format (default csv)" },
+        columns: {
+          type: "array",
+          items: { type: "string" },
+          description: "Columns to export, e.g. ['id', 'firstName', 'emails', 'phones']; defaults to the fields of the first page of records"
+        },
+        flatten: {
+          type: "boolean",
+          description: "Flatten nested objects to dot-separated columns and join arrays such as emails and phones into one cell (default true; CSV is always flattened)"
+        },
+        overwrite: { type: "boolean", description: "Replace the file if it already exists (default false)" },
+        maxRecords: { type: "integer", minimum: 1, description: `Stop after this many records (default ${EXPORT_MAX_RECORDS})` },
+        filters: {
+          type: "object",
+          properties: filterProperties,
+          additionalProperties: false,
+          description: `Filters passed to ${listTool}`
+        }
+      },
+      required: ["file"]
+    },
+    {
+      outputSchema: exportOutputSchema,
+      handler: (args, context) => exportRecords(listTool, { ...args, filters: args.filters || {} }, context)
+    }
+  );
+}
+
+// ----------------------------
+// Audit Log Section
+// ----------------------------
+
+// Every POST/PUT/DELETE tool call that is carried out (not dry runs or confirmation
+// requests) is appended as one JSON line to FUB_AUDIT_LOG (default fub-audit.jsonl in
+// the home directory, as MCP hosts often start the server in "/"; "off" disables it).
+// Entries hold the tool, account, target resource, outcome and calling client; contact
+// details and free-text searches in the arguments are redacted.
+const AUDIT_LOG = ["off", "false", "0"].includes(String(process.env.FUB_AUDIT_LOG).toLowerCase())
+  ? null
+  : nodePath.resolve(process.env.FUB_AUDIT_LOG || nodePath.join(homedir(), "fub-audit.jsonl"));
+
+// Argument keys whose values identify or describe a person, or search for one (q).
+const AUDIT_REDACTED_KEYS = new Set([
+  "q",
+  "firstName",
+  "lastName",
+  "name",
+  "email",
+  "emails",
+  "phone",
+  "phones",
+  "address",
+  "addresses",
+  "street",
+  "birthday",
+  "body",
+  "message",
+  "subject",
+  "note",
+  "person",
+  "user"
+]);
+
+const redactArguments = (value, key = "") => {
+  if (AUDIT_REDACTED_KEYS.has(key) || /^custom/.test(key)) return value === undefined || value === null ? value : "[redacted]";
+  if (Array.isArray(value)) return value.map((item) => redactArguments(item));
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([name, item]) => [name, redactArguments(item, name)]));
+  }
+  if (typeof value === "string" && FORMAT_CHECKS.email(value)) return "[redacted]";
+  return value;
+};
+
+// Appends are chained so that entries keep their order; a failed write is reported
+// on stderr but never fails the tool call it describes.
+let auditWrites = Promise.resolve();
+
+const appendAuditEntry = (entry) => {
+  auditWrites = auditWrites
+    .then(() => appendFile(AUDIT_LOG, `${JSON.stringify(entry)}\n`))
+    .catch((error) => console.error(`Failed to write audit log ${AUDIT_LOG}:`, error.message));
+  return auditWrites;
+};
+
+// IDs of the records a call touched: the path or created ID, or the per-item IDs of bulk results.
+const auditResourceIds = (args, result) => {
+  if (result && Array.isArray(result.results)) {
+    return result.results.map((item) => item.personId ?? item.id).filter((id) => id !== undefined && id !== null);
+  }
+  const id = args.id ?? (result && typeof result === "object" ? result.id : undefined);
+  return id === undefined || id === null ? [] : [id];
+};
+
+// Run a mutating tool call and record its outcome. `run(onStatus)` performs the call;
+// requests pass `onStatus` on to sendRequest to capture the HTTP status.
+const auditToolCall = async ({ name, method, account, args, client }, run) => {
+  if (method === "GET" || !AUDIT_LOG) return run(() => {});
+  let status = null;
+  const entry = { timestamp: new Date().toISOString(), tool: name, method, account, args: redactArguments(args), client };
+  try {
+    const result = await run((code) => {
+      status = code;
+    });
+    const resourceIds = auditResourceIds(args, result);
+    await appendAuditEntry({ ...entry, resourceId: resourceIds.length === 1 ? resourceIds[0] : null, resourceIds, status: status ?? "ok" });
+    return result;
+  } catch (error) {
+    const resourceIds = auditResourceIds(args, null);
+    await appendAuditEntry({
+      ...entry,
+      resourceId: resourceIds.length === 1 ? resourceIds[0] : null,
+      resourceIds,
+      status: error instanceof FubApiError ? error.status : "error",
+      error: error instanceof Error ? error.message : String(error)
+    });
+    throw error;
+  }
+};
+
+const auditEntrySchema = {
+  type: "object",
+  properties: {
+    timestamp: { type: "string" },
+    tool: { type: "string" },
+    method: { type: "string" },
+    account: { type: "string" },
+    resourceId: { type: ["integer", "string", "null"] },
+    resourceIds: { type: "array" },
+    args: { type: "object" },
+    status: { type: ["integer", "string"], description: "HTTP status of the request, or ok/error for local tools" },
+    error: { type: "string" },
+    client: { type: "object", description: "MCP client name and version, and the HTTP session ID" }
+  }
+};
+
+useToolset("admin");
+addTool(
+  "query_audit_log",
+  "GET",
+  null,
+  "Search the server's audit log of create, update, and delete calls, newest first. Each entry shows when the call was made, by which MCP client, on which record, and whether it succeeded (contact details are redacted). Use this tool to find out who changed or deleted a record and when.",
+  {
+    type: "object",
+    properties: {
+      tool: { type: "string", description: "Only calls to this tool (e.g., update_person)" },
+      resourceId: { type: "integer", description: "Only calls that touched this record ID" },
+      since: { type: "string", format: "date-time", description: "Only calls made at or after this time (ISO 8601)" },
+      until: { type: "string", format: "date-time", description: "Only calls made before this time (ISO 8601)" },
+      failedOnly: { type: "boolean", description: "Only calls that failed" },
+      limit: { type: "integer", minimum: 1, maximum: 1000, description: "Maximum number of entries to return (default 100)" }
+    },
+    required: []
+  },
+  {
+    outputSchema: {
+      type: "object",
+      properties: {
+        _metadata: metadataSchema,
+        file: { type: "string" },
+        entries: { type: "array", items: auditEntrySchema }
+      }
+    },
+    handler: async ({ tool, resourceId, since, until, failedOnly, limit = 100 }, { account }) => {
+      if (!AUDIT_LOG) {
+        throw new McpError(ErrorCode.InvalidRequest, "The audit log is disabled (FUB_AUDIT_LOG=off).");
+      }
+      await auditWrites;
+      let text = "";
+      try {
+        text = await readFile(AUDIT_LOG, "utf8");
+      } catch (error) {
+        if (error.code !== "ENOENT") throw error;
+      }
+      const sinceTime = since ? Date.parse(since) : null;
+      const untilTime = until ? Date.parse(until) : null;
+      const matches = [];
+      for (const line of text.split("\n")) {
+        if (!line.trim()) continue;
+        let entry;
+        try {
+          entry = JSON.parse(line);
+        } catch {
+          continue;
+        }
+        const time = Date.parse(entry.timestamp);
+        if (entry.account !== account) continue;
+        if (tool && entry.tool !== tool) continue;
+        if (resourceId !== undefined && !(entry.resourceIds || []).map(String).includes(String(resourceId))) continue;
+        if (sinceTime !== null && time < sinceTime) continue;
+        if (untilTime !== null && time >= untilTime) continue;
+        if (failedOnly && !entry.error) continue;
+        matches.push(entry);
+      }
+      matches.reverse();
+      return {
+        _metadata: { collection: "entries", total: matches.length, limit },
+        file: AUDIT_LOG,
+        entries: matches.slice(0, limit)
+      };
+    }
+  }
+);
+
+// ----------------------------
+// Resources Section
+// ----------------------------
+
+// CRM records are exposed as fub://<collection>/<id> resources, and slow-changing
+// reference data as fub://<collection>. Collection names match the API paths.
+const resourceTemplates = [
+  { uriTemplate: "fub://people/{id}", name: "Person", description: "A contact with all fields, including custom fields" },
+  { uriTemplate: "fub://deals/{id}", name: "Deal", description: "A deal with its stage, price, and people" },
+  { uriTemplate: "fub://smartLists/{id}", name: "Smart List", description: "A saved contact filter" },
+  { uriTemplate: "fub://pipelines/{id}", name: "Pipeline", description: "A deal pipeline and its stages" },
+  { uriTemplate: "fub://users/{id}", name: "User", description: "An agent, lender, or admin on the account" },
+  { uriTemplate: "fub://tasks/{id}", name: "Task", description: "A task and its due date" },
+  { uriTemplate: "fub://appointments/{id}", name: "Appointment", description: "An appointment and its invitees" }
+].map((template) => ({ ...template, mimeType: "application/json" }));
+
+const referenceResources = [
+  { uri: "fub://stages", name: "Stages", description: "Contact stages configured on the account" },
+  { uri: "fub://users", name: "Users", description: "Agents, lenders, and admins on the account" },
+  { uri: "fub://pipelines", name: "Pipelines", description: "Deal pipelines and their stages" },
+  { uri: "fub://customFields", name: "Custom Fields", description: "Custom fields defined for contacts" },
+  { uri: "fub://dealCustomFields", name: "Deal Custom Fields", description: "Custom fields defined for deals" },
+  { uri: "fub://smartLists", name: "Smart Lists", description: "Saved contact filters" },
+  { uri: "fub://appointmentTypes", name: "Appointment Types", description: "Appointment types configured on the account" },
+  { uri: "fub://appointmentOutcomes", name: "Appointment Outcomes", description: "Appointment outcomes configured on the account" },
+  { uri: "fub://timeframes", name: "Timeframes", description: "Buying and selling timeframes" },
+  { uri: "fub://groups", name: "Groups", description: "Lead distribution groups" },
+  { uri: "fub://ponds", name: "Ponds", description: "Lead ponds" }
+].map((resource) => ({ ...resource, mimeType: "application/json" }));
+
+const recordCollections = new Set(resourceTemplates.map((template) => template.uriTemplate.split("/")[2]));
+const referenceCollections = new Set(referenceResources.map((resource) => resource.uri.slice("fub://".length)));
+
+// Fetch the data behind a fub:// URI from the default account.
+const readResource = async (uri) => {
+  if (uri === RECEIVED_EVENTS_URI) {
+    return { events: receivedEvents.slice().reverse() };
+  }
+  const match = /^fub:\/\/([A-Za-z]+)(?:\/(\d+))?$/.exec(uri);
+  if (match && match[2] && recordCollections.has(match[1])) {
+    const query = match[1] === "people" ? { fields: "allFields" } : undefined;
+    return fubRequest("GET", `/${match[1]}/${match[2]}`, { query });
+  }
+  if (match && !match[2] && referenceCollections.has(match[1])) {
+    return fetchAllPages(`/${match[1]}`, {});
+  }
+  throw new McpError(ErrorCode.InvalidParams, `Unknown resource: ${uri}`);
+};
+
+// ----------------------------
+// Prompts Section
+// ----------------------------
+
+const prompts = [];
+const promptMap = {};
+
+// Helper function to add a prompt definition. `render` receives the prompt
+// arguments and returns the instruction text sent to the model.
+const addPrompt = (name, description, args, render) => {
+  prompts.push({ name, description, arguments: args });
+  promptMap[name] = { description, arguments: args, render };
+};
+
+addPrompt(
+  "triage_unclaimed_leads",
+  "Review unclaimed leads, rank them, and claim the most promising ones.",
+  [
+    { name: "maxClaims", description: "Maximum number of leads to claim (default 5)", required: false },
+    { name: "criteria", description: "Extra criteria for a good lead (e.g., price range, area)", required: false }
+  ],
+  ({ maxClaims = "5", criteria }) => [
+    "Triage the unclaimed leads in Follow Up Boss.",
+    "1. Call list_unclaimed_people to get the current unclaimed leads.",
+    "2. For each lead, look at the source, price, timeframe, and how recently they registered. Use get_person if you need more detail.",
+    criteria ? `3. Rank the leads using these criteria: ${criteria}.` : "3. Rank the leads from most to least promising and explain the ranking in one line each.",
+    `4. Claim at most ${maxClaims} of the top leads with claim_person. Do not claim leads that look like spam or duplicates (check with check_duplicate_person).`,
+    "5. Finish with a short table of the leads you claimed and the ones you skipped, with a reason for each."
+  ].join("\n")
+);
+
+addPrompt(
+  "draft_follow_up",
+  "Draft a personalized follow-up message for a contact based on their history.",
+  [
+    { name: "personId", description: "ID of the contact to follow up with", required: true },
+    { name: "channel", description: "email or text (default email)", required: false },
+    { name: "templateId", description: "Email template to merge as a starting point", required: false }
+  ],
+  ({ personId, channel = "email", templateId }) => [
+    `Draft a follow-up ${channel === "text" ? "text message" : "email"} for contact ${personId}.`,
+    `1. Call get_person with id ${personId} to learn their stage, source, price range, tags, and assigned agent.`,
+    `2. Review their recent history with get_person_timeline for personId ${personId}.`,
+    templateId
+      ? `3. Call merge_email_template with template ${templateId} and person ${personId} and use the result as the starting point.`
+      : "3. If a suitable template exists (list_email_templates), merge it with merge_email_template and use it as the starting point.",
+    "4. Write a short, friendly message that references the most recent conversation and proposes one clear next step.",
+    "5. Show the draft only. Do not send it or record it in the CRM unless I ask."
+  ].join("\n")
+);
+
+addPrompt(
+  "weekly_pipeline_review",
+  "Summarize the state of a deal pipeline for a weekly review.",
+  [{ name: "pipelineId", description: "ID of the pipeline to review", required: true }],
+  ({ pipelineId }) => [
+    `Prepare a weekly review of pipeline ${pipelineId}.`,
+    `1. Call get_pipeline with id ${pipelineId} to get its stages.`,
+    `2. Call list_deals with pipelineId ${pipelineId} and fetchAll to gather its deals.`,
+    "3. For each stage, report the number of deals and total price, and list deals that have not moved recently or have a projected close date in the past.",
+    "4. Highlight deals expected to close in the next 30 days and any that need attention, with the assigned agent.",
+    "5. Close with three concrete action items for the team."
+  ].join("\n")
+);
+
+addPrompt(
+  "prepare_for_appointment",
+  "Build a briefing for an upcoming appointment.",
+  [{ name: "appointmentId", description: "ID of the appointment", required: true }],
+  ({ appointmentId }) => [
+    `Prepare me for appointment ${appointmentId}.`,
+    `1. Call get_appointment with id ${appointmentId} for the time, location, type, and invitees.`,
+    "2. For each invited contact, call get_person_timeline and review their recent notes, calls, text messages, open tasks, and deals.",
+    "3. Summarize who I am meeting, what they are looking for, where things stand, and any open questions or promises made.",
+    "4. Suggest an agenda and three questions to ask."
+  ].join("\n")
+);
+
+// Render a prompt with its arguments, checking that required arguments are present.
+const getPrompt = (name, args = {}) => {
+  const prompt = promptMap[name];
+  if (!prompt) {
+    throw new McpError(ErrorCode.InvalidParams, `Unknown prompt: ${name}`);
+  }
+  const missing = prompt.arguments.filter((arg) => arg.required && !args[arg.name]).map((arg) => arg.name);
+  if (missing.length) {
+    throw new McpError(ErrorCode.InvalidParams, `Missing required arguments for ${name}: ${missing.join(", ")}`);
+  }
+  return {
+    description: prompt.description,
+    messages: [{ role: "user", content: { type: "text", text: prompt.render(args) } }]
+  };
+};
+
+// ----------------------------
+// Response Shaping Section
+// ----------------------------
+
+// Every tool result passes through renderToolResult, which applies the shared
+// `fields`, `maxChars` and `format` arguments and prefixes list results with a
+// one-line summary built from _metadata. The same projected result is returned as
+// structuredContent, so the text is kept compact.
+const DEFAULT_MAX_CHARS = Number(process.env.FUB_MAX_RESPONSE_CHARS) || 25000;
+
+// Keep only the value at a dot path, preserving the surrounding structure.
+// Arrays are traversed, so "emails.value" keeps the value of every email.
+const pickPath = (value, segments) => {
+  if (value === undefined || value === null || !segments.length) return value;
+  if (Array.isArray(value)) return value.map((item) => pickPath(item, segments));
+  if (typeof value !== "object") return undefined;
+  const [head, ...tail] = segments;
+  const picked = pickPath(value[head], tail);
+  return picked === undefined ? undefined : { [head]: picked };
+};
+
+const mergeDeep = (target, source) => {
+  if (target === undefined) return source;
+  if (Array.isArray(target) && Array.isArray(source)) return target.map((item, index) => mergeDeep(item, source[index]));
+  if (target && source && typeof target === "object" && typeof source === "object") {
+    const merged = { ...target };
+    for (const [key, value] of Object.entries(source)) merged[key] = mergeDeep(target[key], value);
+    return merged;
+  }
+  return source;
+};
+
+const projectRecord = (record, paths) => {
+  if (!record || typeof record !== "object") return record;
+  return paths.reduce((projected, path) => {
+    const picked = pickPath(record, path.split("."));
+    return picked === undefined ? projected : mergeDeep(projected, picked);
+  }, {});
+};
+
+// Apply a `fields` projection to a single record or to every record of a list.
+const projectResult = (result, fields) => {
+  const paths = (fields || "").split(",").map((field) => field.trim()).filter(Boolean);
+  if (!paths.length || fields === "allFields" || !result || typeof result !== "object") return result;
+  const collection = listCollection(result);
+  if (!collection) return projectRecord(result, paths);
+  return { ...result, [collection]: result[collection].map((record) => projectRecord(record, paths)) };
+};
+
+// Flatten a value for a table cell: email/phone arrays become their values.
+const cellText = (value) => {
+  if (value === undefined || value === null) return "";
+  if (Array.isArray(value)) {
+    return value
+      .map((item) => (item && typeof item === "object" ? (item.value ?? item.name ?? JSON.stringify(item)) : String(item)))
+      .join("; ");
+  }
+  if (typeof value === "object") return JSON.stringify(value);
+  return String(value);
+};
+
+const tableColumns = (records) => {
+  const columns = [];
+  for (const record of records) {
+    for (const key of Object.keys(record || {})) {
+      if (!columns.includes(key)) columns.push(key);
+    }
+  }
+  return columns;
+};
+
+const renderMarkdownTable = (records) => {
+  const columns = tableColumns(records);
+  if (!columns.length) return "(no records)";
+  const escape = (text) => text.replace(/\|/g, "\\|").replace(/\r?\n/g, " ");
+  const lines = [`| ${columns.join(" | ")} |`, `| ${columns.map(() => "---").join(" | ")} |`];
+  for (const record of records) {
+    lines.push(`| ${columns.map((column) => escape(cellText(record[column]))).join(" | ")} |`);
+  }
+  return lines.join("\n");
+};
+
+const csvCell = (text) => (/[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text);
+
+const renderCsv = (records) => {
+  const columns = tableColumns(records);
+  const lines = [columns.map(csvCell).join(",")];
+  for (const record of records) {
+    lines.push(columns.map((column) => csvCell(cellText(record[column]))).join(","));
+  }
+  return lines.join("\n");
+};
+
+// One-line description of a list result, e.g. "people: 25 records (offset 50) of 1200 total".
+const summarizeList = (result, collection, shown) => {
+  const metadata = result._metadata || {};
+  const count = result[collection].length;
+  const parts = [`${collection}: ${shown < count ? `${shown} of ${count}` : count} record${count === 1 ? "" : "s"}`];
+  if (metadata.offset) parts.push(`(offset ${metadata.offset})`);
+  if (metadata.total !== undefined && metadata.total !== null) parts.push(`of ${metadata.total} total`);
+  return parts.join(" ");
+};
+
+const renderList = (result, collection, records, format) => {
+  if (format === "markdown") return renderMarkdownTable(records);
+  if (format === "csv") return renderCsv(records);
+  return JSON.stringify({ ...result, [collection]: records });
+};
+
+// Shape a tool result into the text and structuredContent returned to the client.
+// Both are held to maxChars: lists keep as many whole records as fit in the text, and
+// structuredContent carries the same records with _metadata.responseTruncated set.
+// Other results that do not fit only describe their size in structuredContent.
+const renderToolResult = (name, result, args = {}) => {
+  if (result === null || result === undefined) return { text: "Success (no content returned)", structuredContent: {} };
+  const maxChars = args.maxChars || DEFAULT_MAX_CHARS;
+  const shaped = projectResult(result, args.fields);
+  const collection = listCollection(shaped);
+
+  if (!collection) {
+    const text = typeof shaped === "string" ? shaped : JSON.stringify(shaped);
+    const structuredContent = typeof shaped === "object" && !Array.isArray(shaped) ? shaped : { value: shaped };
+    if (text.length <= maxChars) return { text, structuredContent };
+    return {
+      text: `${text.slice(0, maxChars)}\n[Truncated: the response was ${text.length} characters. Pass fields to request only what you need, or raise maxChars.]`,
+      structuredContent: { _metadata: { responseTruncated: true, characters: text.length, maxChars } }
+    };
+  }
+
+  const records = shaped[collection];
+  // Only list tools take the `format` argument; other tools may use that name for their own purposes.
+  const format = name.startsWith("list_") ? args.format : "json";
+  const render = (count) => `${summarizeList(shaped, collection, count)}\n${renderList(shaped, collection, records.slice(0, count), format)}`;
+  let text = render(records.length);
+  if (text.length <= maxChars) return { text, structuredContent: shaped };
+
+  // Keep as many whole records as fit, then tell the caller how to fetch the rest.
+  let low = 0;
+  let high = records.length;
+  while (low < high) {
+    const middle = Math.ceil((low + high) / 2);
+    if (render(middle).length <= maxChars) low = middle;
+    else high = middle - 1;
+  }
+  text = render(low);
+  // Only paged list tools take an offset, and a fetchAll result has no single page to continue from.
+  const tool = toolMap[name];
+  let hint = "Pass fields to return fewer fields per record, or raise maxChars.";
+  if (tool && tool.paginated && !args.fetchAll) {
+    const offset = ((shaped._metadata && shaped._metadata.offset) || 0) + low;
+    hint = `Call ${name} again with offset=${offset} (and a smaller limit) to see more, or pass fields to return fewer fields per record.`;
+  } else if (tool && tool.paginated) {
+    hint = "Lower maxRecords, or call without fetchAll and page with limit and offset, or pass fields to return fewer fields per record.";
+  }
+  return {
+    text: `${text}\n[Truncated: showing ${low} of ${records.length} records to stay under ${maxChars} characters. ${hint}]`,
+    structuredContent: {
+      ...shaped,
+      _metadata: { ...shaped._metadata, responseTruncated: true, returned: low },
+      [collection]: records.slice(0, low)
+    }
+  };
+};
+
+// --- New MCP SDK Server Initialization using the SDK ---
+
+// Servers connected to a live transport. STDIO mode has one; HTTP mode has one per session.
+const activeServers = new Set();
+
+// Resource URIs each connected client has subscribed to.
+const resourceSubscriptions = new Map();
+
+// Toolsets each connected client has enabled; set_toolsets only changes the caller's.
+const sessionToolsets = new Map();
+
+// Tell every client subscribed to `uri` that the resource has changed.
+const notifyResourceUpdated = (uri) => {
+  for (const server of activeServers) {
+    const subscribed = resourceSubscriptions.get(server);
+    if (subscribed && subscribed.has(uri)) {
+      server.sendResourceUpdated({ uri }).catch((error) => console.error(`Failed to notify ${uri} update:`, error));
+    }
+  }
+};
+
+// Create an MCP Server instance with a name and version and register its handlers.
+// Each transport (the STDIO pipe or one HTTP session) gets its own Server instance.
+const createServer = () => {
+  const server = new Server(
+    { name: "followupboss", version: "1.0.0" },
+    { capabilities: { tools: { listChanged: true }, resources: { subscribe: true }, prompts: {} } }
+  );
+  activeServers.add(server);
+  resourceSubscriptions.set(server, new Set());
+  sessionToolsets.set(server, new Set(toolsetSelection.enabled));
+  server.onclose = () => {
+    activeServers.delete(server);
+    resourceSubscriptions.delete(server);
+    sessionToolsets.delete(server);
+  };
+
+  // Register a handler to list the available tools.
+  // When a client requests the list of tools, this returns every tool enabled by the current configuration.
+  server.setRequestHandler(ListToolsRequestSchema, async () => {
+    return { tools: tools.filter((tool) => isToolEnabled(tool.name, server)) };
+  });
+
+  // Register a handler for executing tools.
+  // Every tool is dispatched to the Follow Up Boss API using its toolMap entry.
+  server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
+    try {
+      const args = request.params.arguments || {};
+      // Long-running tools report progress when the client asked for it with a progress token.
+      const progressToken = request.params._meta && request.params._meta.progressToken;
+      const reportProgress = (progress, total, message) => {
+        if (progressToken === undefined) return Promise.resolve();
+        return extra
+          .sendNotification({ method: "notifications/progress", params: { progressToken, progress, total, message } })
+          .catch((error) => console.error("Failed to send progress notification:", error));
+      };
+      // Identifies the caller in the audit log.
+      const client = { ...(server.getClientVersion() || {}), ...(extra.sessionId ? { sessionId: extra.sessionId } : {}) };
+      const result = await dispatchTool(request.params.name, args, { reportProgress, client, server });
+      const { text, structuredContent } = renderToolResult(request.params.name, result, args);
+      return {
+        content: [{ type: "text", text }],
+        structuredContent,
+        isError: false
+      };
+    } catch (error) {
+      return {
+        content: [{
+          type: "text",
+          text: `Error: ${error instanceof Error ? error.message : String(error)}`
+        }],
+        isError: true
+      };
+    }
+  });
+
+  // Register handlers for CRM resources: reference data is listed, records are reached through templates.
+  server.setRequestHandler(ListResourcesRequestSchema, async () => {
+    return { resources: [...referenceResources, receivedEventsResource] };
+  });
+
+  server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => {
+    return { resourceTemplates };
+  });
+
+  server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+    const { uri } = request.params;
+    const data = await readResource(uri);
+    return { contents: [{ uri, mimeType: "application/json", text: JSON.stringify(data, null, 2) }] };
+  });
+
+  // Clients subscribe to fub://events/received (or a record URI) to hear about incoming webhooks.
+  server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+    resourceSubscriptions.get(server).add(request.params.uri);
+    return {};
+  });
+
+  server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+    resourceSubscriptions.get(server).delete(request.params.uri);
+    return {};
+  });
+
+  // Register handlers for the workflow prompts.
+  server.setRequestHandler(ListPromptsRequestSchema, async () => {
+    return { prompts };
+  });
+
+  server.setRequestHandler(GetPromptRequestSchema, async (request) => {
+    return getPrompt(request.params.name, request.params.arguments || {});
+  });
+
+  return server;
+};
+
+// ----------------------------
+// Transports Section
+// ----------------------------
+
+// Command-line options. Environment variables provide the defaults so the server
+// can be configured either way.
+const { values: cliOptions } = parseArgs({
+  options: {
+    transport: { type: "string", default: process.env.FUB_MCP_TRANSPORT || "stdio" },
+    host: { type: "string", default: process.env.FUB_MCP_HOST || "127.0.0.1" },
+    port: { type: "string", default: process.env.FUB_MCP_PORT || "3000" },
+    "auth-token": { type: "string", default: process.env.FUB_MCP_AUTH_TOKEN },
+    "webhook-port": { type: "string", default: process.env.FUB_WEBHOOK_PORT },
+    "webhook-host": { type: "string", default: process.env.FUB_WEBHOOK_HOST || "0.0.0.0" },
+    "webhook-path": { type: "string", default: process.env.FUB_WEBHOOK_PATH || "/fub/webhook" },
+    toolsets: { type: "string", default: process.env.FUB_TOOLSETS },
+    tools: { type: "string", default: process.env.FUB_TOOLS },
+    "exclude-tools": { type: "string", default: process.env.FUB_EXCLUDE_TOOLS }
+  },
+  strict: true
+});
+
+const LOOPBACK_HOSTS = new Set(["127.0.0.1", "localhost", "::1"]);
+
+// Compare the request's bearer token with the configured one in constant time.
+const isAuthorized = (req, authToken) => {
+  if (!authToken) return true;
+  const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || "");
+  if (!match) return false;
+  const expected = Buffer.from(authToken);
+  const actual = Buffer.from(match[1].trim());
+  return expected.length === actual.length && timingSafeEqual(expected, actual);
+};
+
+// Request bodies larger than this are refused with 413 before they are parsed or verified.
+const MAX_BODY_BYTES = Number(process.env.FUB_MAX_BODY_BYTES) || 1024 * 1024;
+
+const bodyTooLarge = () => Object.assign(new Error(`Request body exceeds ${MAX_BODY_BYTES} bytes`), { statusCode: 413 });
+
+const readBody = (req) =>
+  new Promise((resolve, reject) => {
+    if (Number(req.headers["content-length"]) > MAX_BODY_BYTES) {
+      reject(bodyTooLarge());
+      return;
+    }
+    const chunks = [];
+    let size = 0;
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        // Stop buffering; the caller answers 413 and the connection is closed.
+        req.removeAllListeners("data");
+        req.pause();
+        reject(bodyTooLarge());
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+    req.on("error", reject);
+  });
+
+const readJsonBody = async (req) => {
+  const raw = await readBody(req);
+  return raw ? JSON.parse(raw) : undefined;
+};
+
+const sendJsonRpcError = (res, status, code, message) => {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify({ jsonrpc: "2.0", error: { code, message }, id: null }));
+};
+
+// Serve MCP over HTTP: Streamable HTTP on /mcp, and the older HTTP+SSE transport
+// on /sse (event stream) and /messages (client-to-server posts) for legacy clients.
+const startHttpServer = ({ host, port, authToken }) => {
+  const sessions = new Map();
+  // Through DNS rebinding a web page can reach a loopback server under its own host name,
+  // so on loopback the transports only accept requests addressed to a loopback name.
+  const transportOptions = LOOPBACK_HOSTS.has(host)
+    ? {
+        enableDnsRebindingProtection: true,
+        allowedHosts: ["127.0.0.1", "localhost", "[::1]"].map((name) => (port === 80 ? name : `${name}:${port}`))
+      }
+    : {};
+
+  const httpServer = http.createServer(async (req, res) => {
+    try {
+      const url = new URL(req.url, `http://${req.headers.host || "localhost"}`);
+      if (!isAuthorized(req, authToken)) {
+        res.setHeader("WWW-Authenticate", "Bearer");
+        sendJsonRpcError(res, 401, -32001, "Unauthorized: missing or invalid bearer token");
+        return;
+      }
+
+      if (url.pathname === "/mcp") {
+        const body = req.method === "POST" ? await readJsonBody(req) : undefined;
+        const sessionId = req.headers["mcp-session-id"];
+        let transport = sessionId ? sessions.get(sessionId) : undefined;
+
+        if (sessionId && !transport) {
+          sendJsonRpcError(res, 404, -32001, "Session not found");
+          return;
+        }
+        if (transport && !(transport instanceof StreamableHTTPServerTransport)) {
+          sendJsonRpcError(res, 400, -32000, "Session uses the SSE transport");
+          return;
+        }
+        if (!transport) {
+          if (req.method !== "POST" || !isInitializeRequest(body)) {
+            sendJsonRpcError(res, 400, -32000, "Bad Request: no valid session ID provided");
+            return;
+          }
+          transport = new StreamableHTTPServerTransport({
+            ...transportOptions,
+            sessionIdGenerator: () => randomUUID(),
+            onsessioninitialized: (id) => sessions.set(id, transport)
+          });
+          transport.onclose = () => {
+            if (transport.sessionId) sessions.delete(transport.sessionId);
+          };
+          await createServer().connect(transport);
+        }
+        await transport.handleRequest(req, res, body);
+        return;
+      }
+
+      if (url.pathname === "/sse" && req.method === "GET") {
+        const transport = new SSEServerTransport("/messages", res, transportOptions);
+        const invalidHeaders = transport.validateRequestHeaders(req);
+        if (invalidHeaders) {
+          sendJsonRpcError(res, 403, -32000, invalidHeaders);
+          return;
+        }
+        sessions.set(transport.sessionId, transport);
+        res.on("close", () => sessions.delete(transport.sessionId));
+        await createServer().connect(transport);
+        return;
+      }
+
+      if (url.pathname === "/messages" && req.method === "POST") {
+        const transport = sessions.get(url.searchParams.get("sessionId"));
+        if (!(transport instanceof SSEServerTransport)) {
+          sendJsonRpcError(res, 404, -32001, "Session not found");
+          return;
+        }
+        await transport.handlePostMessage(req, res, await readJsonBody(req));
+        return;
+      }
+
+      res.writeHead(404).end();
+    } catch (error) {
+      if (error.statusCode === 413) {
+        if (!res.headersSent) {
+          res.setHeader("Connection", "close");
+          sendJsonRpcError(res, 413, -32600, error.message);
+        }
+        return;
+      }
+      console.error("Error handling HTTP request:", error);
+      if (!res.headersSent) {
+        sendJsonRpcError(res, error instanceof SyntaxError ? 400 : 500, error instanceof SyntaxError ? -32700 : -32603, error.message);
+      }
+    }
+  });
+
+  return new Promise((resolve, reject) => {
+    httpServer.once("error", reject);
+    httpServer.listen(port, host, () => resolve(httpServer));
+  });
+};
+
+// ----------------------------
+// Webhook Receiver Section
+// ----------------------------
+
+// Optional listener for Follow Up Boss webhook callbacks (see create_webhook).
+// Each POST is verified against the FUB-Signature header, which is the hex
+// HMAC-SHA256 of the base64-encoded body keyed with the account's X-System-Key.
+// Verified events are kept in a bounded in-memory queue, hydrated by fetching the
+// event's resource URI, and announced to subscribed clients.
+const RECEIVED_EVENTS_URI = "fub://events/received";
+const WEBHOOK_QUEUE_SIZE = Number(process.env.FUB_WEBHOOK_QUEUE_SIZE) || 500;
+
+const receivedEventsResource = {
+  uri: RECEIVED_EVENTS_URI,
+  name: "Received Webhook Events",
+  description: "Webhook events received by the local listener, newest first; subscribe to be notified of new events",
+  mimeType: "application/json"
+};
+
+const receivedEvents = [];
+
+// Find the account whose system key produced the signature, if any.
+const verifyWebhookSignature = (rawBody, signature) => {
+  if (!signature) return null;
+  const actual = Buffer.from(signature.trim().toLowerCase());
+  const signed = Buffer.from(rawBody).toString("base64");
+  for (const account of Object.values(accounts)) {
+    if (!account.systemKey) continue;
+    const expected = Buffer.from(createHmac("sha256", account.systemKey).update(signed).digest("hex"));
+    if (expected.length === actual.length && timingSafeEqual(expected, actual)) {
+      return account;
+    }
+  }
+  return null;
+};
+
+// Fetch the records an event points at. Only URIs on the configured API base are
+// followed so a forged payload cannot make the server send credentials elsewhere.
+const hydrateEvent = async (entry) => {
+  if (typeof entry.uri !== "string" || !entry.uri.startsWith(`${FUB_API_BASE}/`)) {
+    entry.hydrationError = "Event has no resource URI on the Follow Up Boss API";
+    return;
+  }
+  try {
+    entry.data = await fubRequest("GET", entry.uri, { account: entry.account });
+  } catch (error) {
+    entry.hydrationError = error.message;
+  }
+};
+
+const receiveWebhookEvent = async (payload, account) => {
+  const entry = {
+    eventId: payload.eventId,
+    event: payload.event,
+    resourceIds: payload.resourceIds || [],
+    uri: payload.uri,
+    eventCreated: payload.eventCreated,
+    receivedAt: new Date().toISOString(),
+    account: account.name
+  };
+  receivedEvents.push(entry);
+  if (receivedEvents.length > WEBHOOK_QUEUE_SIZE) {
+    receivedEvents.splice(0, receivedEvents.length - WEBHOOK_QUEUE_SIZE);
+  }
+
+  await hydrateEvent(entry);
+  notifyResourceUpdated(RECEIVED_EVENTS_URI);
+  // Events such as peopleUpdated or dealsCreated also touch fub://<collection>/<id> resources.
+  const collection = [...recordCollections].find((name) => typeof entry.event === "string" && entry.event.startsWith(name));
+  if (collection) {
+    for (const id of entry.resourceIds) notifyResourceUpdated(`fub://${collection}/${id}`);
+  }
+};
+
+const startWebhookReceiver = ({ host, port, path }) => {
+  if (!Object.values(accounts).some((account) => account.systemKey)) {
+    throw new Error("The webhook receiver needs a system key (FUB_SYSTEM_KEY or systemKey in FUB_ACCOUNTS) to verify FUB-Signature.");
+  }
+  const httpServer = http.createServer(async (req, res) => {
+    try {
+      const url = new URL(req.url, `http://${req.headers.host || "localhost"}`);
+      if (url.pathname !== path || req.method !== "POST") {
+        res.writeHead(404).end();
+        return;
+      }
+      const rawBody = await readBody(req);
+      const account = verifyWebhookSignature(rawBody, req.headers["fub-signature"]);
+      if (!account) {
+        res.writeHead(401).end();
+        return;
+      }
+      const payload = JSON.parse(rawBody);
+      // Acknowledge right away; hydration happens after the response is sent.
+      res.writeHead(200).end();
+      receiveWebhookEvent(payload, account).catch((error) => console.error("Failed to process webhook event:", error));
+    } catch (error) {
+      if (error.statusCode === 413) {
+        if (!res.headersSent) res.writeHead(413, { Connection: "close" }).end();
+        return;
+      }
+      console.error("Error handling webhook request:", error);
+      if (!res.headersSent) res.writeHead(error instanceof SyntaxError ? 400 : 500).end();
+    }
+  });
+
+  return new Promise((resolve, reject) => {
+    httpServer.once("error", reject);
+    httpServer.listen(port, host, () => resolve(httpServer));
+  });
+};
+
+useToolset("webhooks");
+addTool(
+  "list_received_events",
+  "GET",
+  null,
+  "List webhook events (e.g., peopleCreated, dealsUpdated) received by the server's local webhook listener, newest first, with the affected records attached. Use this tool to react to CRM changes instead of polling.",
+  {
+    type: "object",
+    properties: {
+      event: { type: "string", description: "Only events of this type (e.g., peopleCreated)" },
+      since: { type: "string", format: "date-time", description: "Only events received after this time (ISO 8601)" },
+      limit: { type: "integer", minimum: 1, maximum: 500, description: "Maximum number of events to return (default 50)" },
+      includeData: { type: "boolean", description: "Include the hydrated records for each event (default true)" }
+    },
+    required: []
+  },
+  {
+    handler: async ({ event, since, limit = 50, includeData = true }, { account }) => {
+      const sinceTime = since ? Date.parse(since) : null;
+      const matches = receivedEvents
+        .filter((entry) => entry.account === account)
+        .filter((entry) => !event || entry.event === event)
+        .filter((entry) => sinceTime === null || Date.parse(entry.receivedAt) > sinceTime)
+        .reverse();
+      return {
+        _metadata: { collection: "events", total: matches.length, limit, queueSize: WEBHOOK_QUEUE_SIZE },
+        events: matches.slice(0, limit).map(({ data, ...entry }) => (includeData ? { ...entry, data } : entry))
+      };
+    }
+  }
+);
+
+// ----------------------------
+// Toolsets Section
+// ----------------------------
+
+// Operators choose which tools are advertised, so that small models and single-purpose
+// clients only see what they need:
+//   --toolsets / FUB_TOOLSETS            comma-separated toolsets to enable ("all" by default)
+//   --tools / FUB_TOOLS                  tools to enable on top of those toolsets; given
+//                                        without --toolsets, only these tools are enabled
+//   --exclude-tools / FUB_EXCLUDE_TOOLS  tools to hide even when their toolset is enabled
+// When the "toolsets" toolset is enabled, clients can switch toolsets at runtime with
+// set_toolsets. The change only applies to the calling client (one HTTP session, or the
+// STDIO client), which then receives tools/list_changed. It changes server state, so
+// set_toolsets is hidden in read-only mode like any other non-GET tool.
+
+const splitList = (value) =>
+  String(value || "")
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+const checkNames = (names, known, kind) => {
+  const unknown = names.filter((name) => !known.includes(name));
+  if (unknown.length) {
+    throw new Error(`Unknown ${kind}: ${unknown.join(", ")}. Available ${kind}: ${known.join(", ")}`);
+  }
+  return names;
+};
+
+const enabledToolNames = (server) => tools.filter((tool) => isToolEnabled(tool.name, server)).map((tool) => tool.name);
+
+useToolset("toolsets");
+addTool(
+  "list_toolsets",
+  "GET",
+  null,
+  "List the toolsets this server offers, whether each is enabled, and the tools in it. Use this tool to find the toolset to enable with set_toolsets.",
+  { type: "object", properties: {}, required: [] },
+  {
+    handler: async (args, { server }) => ({
+      _metadata: { collection: "toolsets" },
+      toolsets: Object.entries(toolsets).map(([name, members]) => ({
+        name,
+        enabled: enabledToolsets(server).has(name),
+        tools: members
+      }))
+    })
+  }
+);
+addTool(
+  "set_toolsets",
+  "POST",
+  null,
+  "Enable or disable toolsets for this client; other clients connected to the server keep their own tool list. Use this tool when the task needs tools that are not currently offered.",
+  {
+    type: "object",
+    properties: {
+      enable: { type: "array", items: { type: "string" }, description: "Toolsets to enable (see list_toolsets)" },
+      disable: { type: "array", items: { type: "string" }, description: "Toolsets to disable" }
+    },
+    required: []
+  },
+  {
+    handler: async ({ enable = [], disable = [] }, { server, dryRun }) => {
+      checkNames([...enable, ...disable], Object.keys(toolsets), "toolsets");
+      const selected = new Set(enabledToolsets(server));
+      enable.forEach((name) => selected.add(name));
+      disable.forEach((name) => selected.delete(name));
+      const enabled = Object.keys(toolsets).filter((name) => selected.has(name));
+      if (dryRun) return { dryRun: true, enabledToolsets: enabled };
+      const before = enabledToolNames(server).join(",");
+      sessionToolsets.set(server, selected);
+      const after = enabledToolNames(server);
+      if (after.join(",") !== before) {
+        server.sendToolListChanged().catch((error) => console.error("Failed to notify tool list change:", error));
+      }
+      return { enabledToolsets: enabled, enabledTools: after };
+    }
+  }
+);
+
+// The selection made at startup. Each client starts with its `enabled` toolsets, which
+// set_toolsets may change for that client.
+const toolsetSelection = (() => {
+  const requested = splitList(cliOptions.toolsets);
+  const allowed = checkNames(splitList(cliOptions.tools), Object.keys(toolMap), "tools");
+  const excluded = checkNames(splitList(cliOptions["exclude-tools"]), Object.keys(toolMap), "tools");
+  const everything = requested.includes("all") || (!requested.length && !allowed.length);
+  return {
+    enabled: new Set(everything ? Object.keys(toolsets) : checkNames(requested, Object.keys(toolsets), "toolsets")),
+    allowed: new Set(allowed),
+    excluded: new Set(excluded)
+  };
+})();
+
+// The toolsets enabled for a client.
+const enabledToolsets = (server) => (server && sessionToolsets.get(server)) || toolsetSelection.enabled;
+
+// Whether a client's toolset selection includes a tool (read-only mode is checked separately).
+const isToolSelected = (name, server) => {
+  const { allowed, excluded } = toolsetSelection;
+  return !excluded.has(name) && (enabledToolsets(server).has(toolMap[name].toolset) || allowed.has(name));
+};
+
+// Fetch custom field definitions in the background so a slow or failing API call does not
+// hold up startup; connected clients receive tools/list_changed once they are loaded.
+const loadCustomFieldSchemas = () => {
+  refreshCustomFieldSchemas()
+    .then(({ person, deal }) => console.error(`Loaded ${person} contact and ${deal} deal custom field definitions`))
+    .catch((error) => console.error("Could not load custom field definitions:", error.message));
+};
+
+const main = async () => {
+  if (cliOptions["webhook-port"]) {
+    const webhookOptions = { host: cliOptions["webhook-host"], port: Number(cliOptions["webhook-port"]), path: cliOptions["webhook-path"] };
+    await startWebhookReceiver(webhookOptions);
+    console.error(`Receiving Follow Up Boss webhooks on http://${webhookOptions.host}:${webhookOptions.port}${webhookOptions.path}`);
+  }
+
+  if (cliOptions.transport === "stdio") {
+    // Connect the server using STDIO transport.
+    // This starts listening for JSON-RPC messages over STDIN/STDOUT.
+    await createServer().connect(new StdioServerTransport());
+    console.error("Follow Up Boss MCP Server is running in STDIO mode");
+    loadCustomFieldSchemas();
+    return;
+  }
+  if (cliOptions.transport !== "http") {
+    throw new Error(`Unknown transport "${cliOptions.transport}". Use "stdio" or "http".`);
+  }
+
+  const host = cliOptions.host;
+  const port = Number(cliOptions.port);
+  const authToken = cliOptions["auth-token"];
+  if (!authToken && !LOOPBACK_HOSTS.has(host)) {
+    throw new Error("Refusing to serve HTTP on a non-loopback host without --auth-token (or FUB_MCP_AUTH_TOKEN).");
+  }
+  await startHttpServer({ host, port, authToken });
+  console.error(`Follow Up Boss MCP Server is listening on http://${host}:${port}/mcp (SSE fallback on /sse)`);
+  loadCustomFieldSchemas();
+};
+
+main().catch((error) => {
+  console.error("Fatal error running server:", error);
+  process.exit(1);
+});